@@ -0,0 +1,95 @@
+/**
+ * Pick servers in turn, in proportion to their weights (smooth weighted round-robin).
+ * @param {Object} state The connector's balancing state; see {@link pickConnection}.
+ * @param {Array<Number>} candidates The connection IDs to choose from.
+ * @returns {Number} The connection ID of the chosen server.
+ */
+function pickRoundRobin(state, candidates) {
+  const { weights, roundRobinWeights } = state
+  let totalWeight = 0
+  let best = candidates[0]
+  candidates.forEach(conId => {
+    totalWeight = totalWeight + weights[conId]
+    roundRobinWeights[conId] = roundRobinWeights[conId] + weights[conId]
+    if (roundRobinWeights[conId] > roundRobinWeights[best]) {
+      best = conId
+    }
+  })
+  roundRobinWeights[best] = roundRobinWeights[best] - totalWeight
+  return best
+}
+
+function pickCheapest(costs, candidates) {
+  return candidates.reduce(
+    (best, conId) => (costs[conId] < costs[best] ? conId : best),
+    candidates[0]
+  )
+}
+
+/**
+ * Pick the server with the fewest requests in flight, relative to its weight.
+ * @param {Object} state The connector's balancing state; see {@link pickConnection}.
+ * @param {Array<Number>} candidates The connection IDs to choose from.
+ * @returns {Number} The connection ID of the chosen server.
+ */
+function pickLeastOutstanding(state, candidates) {
+  return pickCheapest(
+    state.outstandingRequests.map(
+      (outstanding, conId) => outstanding / state.weights[conId]
+    ),
+    candidates
+  )
+}
+
+/**
+ * Pick the server expected to finish the request first: the estimated time of
+ * the work already queued on it plus this request, plus its measured ping time,
+ * relative to its weight.
+ * @param {Object} state The connector's balancing state; see {@link pickConnection}.
+ * @param {Array<Number>} candidates The connection IDs to choose from.
+ * @returns {Number} The connection ID of the chosen server.
+ */
+function pickAdaptive(state, candidates) {
+  return pickCheapest(
+    state.queueTimes.map(
+      (queueTime, conId) =>
+        (queueTime + state.estimatedQueryTime + state.pingTimes[conId]) /
+        state.weights[conId]
+    ),
+    candidates
+  )
+}
+
+export const BALANCE_STRATEGIES = {
+  adaptive: pickAdaptive,
+  "least-outstanding": pickLeastOutstanding,
+  "round-robin": pickRoundRobin
+}
+
+/**
+ * Choose the server that receives the next query or render. Servers marked
+ * unhealthy are skipped unless every server is unhealthy.
+ * @param {String} strategy One of <code>adaptive</code>, <code>least-outstanding</code>, or <code>round-robin</code>.
+ * @param {Object} state The connector's balancing state, with one entry per server in each array.
+ * @param {Array<Number>} state.weights The server weights.
+ * @param {Array<Number>} state.outstandingRequests The number of requests in flight.
+ * @param {Array<Number>} state.queueTimes The estimated time of the requests in flight, in ms.
+ * @param {Array<Number>} state.pingTimes The measured round-trip time, in ms.
+ * @param {Array<Number>} state.roundRobinWeights The round-robin counters; updated in place.
+ * @param {Number} state.estimatedQueryTime The estimated time of the request, in ms.
+ * @param {Array<Boolean>} [state.unhealthy] Whether each server is out of rotation.
+ * @returns {Number} The connection ID of the chosen server.
+ */
+export default function pickConnection(strategy, state) {
+  if (state.weights.length < 2) {
+    return 0
+  }
+  const conIds = state.weights.map((weight, conId) => conId)
+  const healthy = conIds.filter(
+    conId => !state.unhealthy || !state.unhealthy[conId]
+  )
+  return BALANCE_STRATEGIES[strategy](
+    state,
+    healthy.length > 0 ? healthy : conIds
+  )
+}
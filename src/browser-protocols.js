@@ -0,0 +1,911 @@
+// Thrift's binary and compact protocols for the browser, where the Thrift
+// library only ships the JSON protocol. They read and write the same API as
+// the browser Thrift.Protocol, so the generated MapD client and types can use
+// them unchanged; see createXhrTransport for sending their bytes.
+//
+// A 64-bit integer that a JS number can't hold exactly is read as its
+// decimal string, for the query results to format as they're asked to.
+
+/* global BigInt: false */
+
+const TYPE = {
+  STOP: 0,
+  BOOL: 2,
+  BYTE: 3,
+  DOUBLE: 4,
+  I16: 6,
+  I32: 8,
+  I64: 10,
+  STRING: 11,
+  STRUCT: 12,
+  MAP: 13,
+  SET: 14,
+  LIST: 15
+}
+
+const BYTE_MASK = 0xff
+const TWO_TO_THE_32 = 4294967296
+const MAX_SAFE_INTEGER = 9007199254740991
+const MAX_SAFE_DIGITS = 16
+const I64_BITS = 64
+const I16_SIZE = 2
+const I32_SIZE = 4
+const DOUBLE_SIZE = 8
+const INITIAL_BUFFER_SIZE = 1024
+
+// Field names aren't on the wire, and the generated code never reads them
+const NO_FIELD_NAME = ""
+
+function encodeUtf8(str) {
+  const binary = unescape(encodeURIComponent(str))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+const utf8Decoder =
+  typeof TextDecoder === "undefined" ? null : new TextDecoder("utf-8")
+
+function decodeUtf8(bytes) {
+  if (utf8Decoder) {
+    return utf8Decoder.decode(bytes)
+  }
+  return decodeURIComponent(escape(String.fromCharCode.apply(null, bytes)))
+}
+
+// Thrift binary fields hold bytes, but the generated client treats them as
+// strings, as the JSON protocol does, so keep one character per byte.
+function binaryToBytes(binary) {
+  if (binary instanceof Uint8Array) {
+    return binary
+  }
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i) & BYTE_MASK
+  }
+  return bytes
+}
+
+function bytesToBinary(bytes) {
+  let binary = ""
+  bytes.forEach(byte => {
+    binary = binary + String.fromCharCode(byte)
+  })
+  return binary
+}
+
+// Split a 64-bit integer into signed high and unsigned low 32-bit words.
+// Numbers beyond 2^53 have already lost precision, as with the JSON protocol.
+function splitI64(value) {
+  const number = Number(value)
+  const high = Math.floor(number / TWO_TO_THE_32)
+  return { high, low: number - high * TWO_TO_THE_32 }
+}
+
+function isSafeInteger(number) {
+  return Math.abs(number) <= MAX_SAFE_INTEGER
+}
+
+function joinI64(high, low) {
+  const number = (high | 0) * TWO_TO_THE_32 + (low >>> 0)
+  if (isSafeInteger(number) || typeof BigInt !== "function") {
+    return number
+  }
+  const unsigned =
+    BigInt(high >>> 0) * BigInt(TWO_TO_THE_32) + BigInt(low >>> 0)
+  return BigInt.asIntN(I64_BITS, unsigned).toString()
+}
+
+// Quote the integers in JSON that JSON.parse would round, outside of strings
+function quoteUnsafeIntegers(json) {
+  if (!new RegExp(`\\d{${MAX_SAFE_DIGITS}}`).test(json)) {
+    return json
+  }
+  let quoted = ""
+  let start = 0
+  let i = 0
+  while (i < json.length) {
+    const char = json[i]
+    if (char === '"') {
+      i = i + 1
+      while (i < json.length && json[i] !== '"') {
+        i = json[i] === "\\" ? i + 2 : i + 1
+      }
+      i = i + 1
+    } else if (char === "-" || (char >= "0" && char <= "9")) {
+      let end = i + 1
+      while (end < json.length && /[0-9.eE+-]/.test(json[end])) {
+        end = end + 1
+      }
+      const token = json.slice(i, end)
+      if (/^-?\d+$/.test(token) && !isSafeInteger(Number(token))) {
+        quoted = `${quoted}${json.slice(start, i)}"${token}"`
+        start = end
+      }
+      i = end
+    } else {
+      i = i + 1
+    }
+  }
+  return quoted + json.slice(start)
+}
+
+/**
+ * Extend the browser Thrift JSON protocol to read 64-bit integers beyond
+ * 2^53 exactly, as decimal strings, where JSON.parse would round them.
+ * Scanning a response for them costs time, so only the responses to requests
+ * sent after {@link expectExactIntegers} are read this way.
+ * @param {Function} JsonProtocol The browser <code>Thrift.Protocol</code>.
+ * @returns {Function} The protocol.
+ */
+export function withExactIntegers(JsonProtocol) {
+  return class ExactJsonProtocol extends JsonProtocol {
+    constructor(transport) {
+      super(transport)
+      // whether the next request sent, and the response being read, are exact
+      this.sendsExactly = false
+      this.readsExactly = false
+      // Requests share a sequence ID, so tie the flag to each one as it's
+      // sent, and set it again when its response is about to be read.
+      const flush = transport.flush
+      transport.flush = (async, callback) => {
+        const isExact = this.sendsExactly
+        this.sendsExactly = false
+        if (!callback) {
+          this.readsExactly = isExact
+          return flush.call(transport, async)
+        }
+        return flush.call(transport, async, () => {
+          this.readsExactly = isExact
+          callback()
+        })
+      }
+    }
+
+    readMessageBegin() {
+      if (!this.readsExactly) {
+        return super.readMessageBegin()
+      }
+      this.readsExactly = false
+      this.transport.setRecvBuffer(
+        quoteUnsafeIntegers(this.transport.readAll())
+      )
+      return super.readMessageBegin()
+    }
+
+    // A double written without a fraction may have been quoted too
+    readDouble() {
+      const result = super.readDouble()
+      return { value: Number(result.value) }
+    }
+  }
+}
+
+/**
+ * Read the response to the client's next request with exact 64-bit
+ * integers, if its protocol is one made by {@link withExactIntegers}.
+ * @param {Object} client The Thrift client.
+ * @returns {undefined}
+ */
+export function expectExactIntegers(client) {
+  if (client.output && "sendsExactly" in client.output) {
+    client.output.sendsExactly = true
+  }
+}
+
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(INITIAL_BUFFER_SIZE)
+    this.view = new DataView(this.bytes.buffer)
+    this.length = 0
+  }
+
+  // Make room for `size` more bytes and return the offset to write them at
+  advance(size) {
+    const offset = this.length
+    if (offset + size > this.bytes.length) {
+      let capacity = this.bytes.length * 2
+      while (capacity < offset + size) {
+        capacity = capacity * 2
+      }
+      const bytes = new Uint8Array(capacity)
+      bytes.set(this.bytes.subarray(0, offset))
+      this.bytes = bytes
+      this.view = new DataView(bytes.buffer)
+    }
+    this.length = offset + size
+    return offset
+  }
+
+  writeByte(byte) {
+    this.view.setUint8(this.advance(1), byte & BYTE_MASK)
+  }
+
+  writeBytes(bytes) {
+    this.bytes.set(bytes, this.advance(bytes.length))
+  }
+
+  toBytes() {
+    return this.bytes.subarray(0, this.length)
+  }
+}
+
+class ByteReader {
+  constructor(buffer) {
+    this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+    this.view = new DataView(
+      this.bytes.buffer,
+      this.bytes.byteOffset,
+      this.bytes.byteLength
+    )
+    this.offset = 0
+  }
+
+  // Skip past `size` bytes and return the offset to read them from
+  advance(size) {
+    const offset = this.offset
+    if (offset + size > this.bytes.length) {
+      throw new Error("Unexpected end of the Thrift message.")
+    }
+    this.offset = offset + size
+    return offset
+  }
+
+  readByte() {
+    return this.view.getUint8(this.advance(1))
+  }
+
+  readBytes(size) {
+    const offset = this.advance(size)
+    return this.bytes.subarray(offset, offset + size)
+  }
+}
+
+class ByteProtocol {
+  constructor(transport) {
+    this.transport = transport
+    this.writer = null
+    this.reader = null
+    // The generated code for reading maps peeks at the JSON protocol's stacks
+    this.rstack = []
+    this.rpos = []
+  }
+
+  getTransport() {
+    return this.transport
+  }
+
+  startWriting() {
+    this.writer = new ByteWriter()
+  }
+
+  startReading() {
+    this.reader = new ByteReader(this.transport.readAll())
+  }
+
+  writeMessageEnd() {
+    this.transport.write(this.writer.toBytes())
+    this.writer = null
+  }
+
+  writeFieldEnd() {
+    return null
+  }
+
+  writeMapEnd() {
+    return null
+  }
+
+  writeListEnd() {
+    return null
+  }
+
+  writeSetBegin(elemType, size) {
+    this.writeListBegin(elemType, size)
+  }
+
+  writeSetEnd() {
+    return null
+  }
+
+  readMessageEnd() {
+    this.reader = null
+  }
+
+  readFieldEnd() {
+    return null
+  }
+
+  readMapEnd() {
+    return null
+  }
+
+  readListEnd() {
+    return null
+  }
+
+  readSetBegin() {
+    return this.readListBegin()
+  }
+
+  readSetEnd() {
+    return null
+  }
+
+  skip(type) {
+    switch (type) {
+      case TYPE.STOP:
+        return null
+      case TYPE.BOOL:
+        return this.readBool()
+      case TYPE.BYTE:
+        return this.readByte()
+      case TYPE.I16:
+        return this.readI16()
+      case TYPE.I32:
+        return this.readI32()
+      case TYPE.I64:
+        return this.readI64()
+      case TYPE.DOUBLE:
+        return this.readDouble()
+      case TYPE.STRING:
+        return this.readBinary()
+      case TYPE.STRUCT:
+        return this.skipStruct()
+      case TYPE.MAP:
+        return this.skipMap()
+      case TYPE.SET:
+      case TYPE.LIST:
+        return this.skipList()
+      default:
+        throw new Error(`Unknown Thrift type: ${type}`)
+    }
+  }
+
+  skipStruct() {
+    this.readStructBegin()
+    let field = this.readFieldBegin()
+    while (field.ftype !== TYPE.STOP) {
+      this.skip(field.ftype)
+      this.readFieldEnd()
+      field = this.readFieldBegin()
+    }
+    this.readStructEnd()
+    return null
+  }
+
+  skipMap() {
+    const { ktype, vtype, size } = this.readMapBegin()
+    for (let i = 0; i < size; i++) {
+      this.skip(ktype)
+      this.skip(vtype)
+    }
+    this.readMapEnd()
+    return null
+  }
+
+  skipList() {
+    const { etype, size } = this.readListBegin()
+    for (let i = 0; i < size; i++) {
+      this.skip(etype)
+    }
+    this.readListEnd()
+    return null
+  }
+}
+
+const BINARY_VERSION_1 = 0x80010000
+const BINARY_VERSION_MASK = 0xffff0000
+const BINARY_TYPE_MASK = 0xff
+
+/**
+ * Thrift's binary protocol: fixed-size big-endian numbers and
+ * length-prefixed strings.
+ */
+export class BinaryProtocol extends ByteProtocol {
+  writeMessageBegin(name, messageType, seqid) {
+    this.startWriting()
+    this.writeI32(BINARY_VERSION_1 | messageType)
+    this.writeString(name)
+    this.writeI32(seqid)
+  }
+
+  writeStructBegin() {
+    return null
+  }
+
+  writeStructEnd() {
+    return null
+  }
+
+  writeFieldBegin(name, fieldType, fieldId) {
+    this.writeByte(fieldType)
+    this.writeI16(fieldId)
+  }
+
+  writeFieldStop() {
+    this.writeByte(TYPE.STOP)
+  }
+
+  writeMapBegin(keyType, valType, size) {
+    this.writeByte(keyType)
+    this.writeByte(valType)
+    this.writeI32(size)
+  }
+
+  writeListBegin(elemType, size) {
+    this.writeByte(elemType)
+    this.writeI32(size)
+  }
+
+  writeBool(value) {
+    this.writeByte(value ? 1 : 0)
+  }
+
+  writeByte(i8) {
+    this.writer.writeByte(i8)
+  }
+
+  writeI16(i16) {
+    this.writer.view.setInt16(this.writer.advance(I16_SIZE), i16)
+  }
+
+  writeI32(i32) {
+    this.writer.view.setInt32(this.writer.advance(I32_SIZE), i32)
+  }
+
+  writeI64(i64) {
+    const { high, low } = splitI64(i64)
+    this.writer.view.setInt32(this.writer.advance(I32_SIZE), high)
+    this.writer.view.setUint32(this.writer.advance(I32_SIZE), low)
+  }
+
+  writeDouble(dbl) {
+    this.writer.view.setFloat64(this.writer.advance(DOUBLE_SIZE), dbl)
+  }
+
+  writeString(str) {
+    this.writeBytes(encodeUtf8(str))
+  }
+
+  writeBinary(binary) {
+    this.writeBytes(binaryToBytes(binary))
+  }
+
+  writeBytes(bytes) {
+    this.writeI32(bytes.length)
+    this.writer.writeBytes(bytes)
+  }
+
+  readMessageBegin() {
+    this.startReading()
+    const version = this.readI32().value
+    if ((version & BINARY_VERSION_MASK) !== (BINARY_VERSION_1 | 0)) {
+      throw new Error("Unsupported Thrift binary protocol version.")
+    }
+    const fname = this.readString().value
+    const rseqid = this.readI32().value
+    return { fname, mtype: version & BINARY_TYPE_MASK, rseqid }
+  }
+
+  readStructBegin() {
+    return { fname: NO_FIELD_NAME }
+  }
+
+  readStructEnd() {
+    return null
+  }
+
+  readFieldBegin() {
+    const ftype = this.reader.readByte()
+    const fid = ftype === TYPE.STOP ? 0 : this.readI16().value
+    return { fname: NO_FIELD_NAME, ftype, fid }
+  }
+
+  readMapBegin() {
+    const ktype = this.reader.readByte()
+    const vtype = this.reader.readByte()
+    return { ktype, vtype, size: this.readI32().value }
+  }
+
+  readListBegin() {
+    const etype = this.reader.readByte()
+    return { etype, size: this.readI32().value }
+  }
+
+  readBool() {
+    return { value: this.reader.readByte() !== 0 }
+  }
+
+  readByte() {
+    return { value: this.reader.view.getInt8(this.reader.advance(1)) }
+  }
+
+  readI16() {
+    return { value: this.reader.view.getInt16(this.reader.advance(I16_SIZE)) }
+  }
+
+  readI32() {
+    return { value: this.reader.view.getInt32(this.reader.advance(I32_SIZE)) }
+  }
+
+  readI64() {
+    const high = this.reader.view.getInt32(this.reader.advance(I32_SIZE))
+    const low = this.reader.view.getUint32(this.reader.advance(I32_SIZE))
+    return { value: joinI64(high, low) }
+  }
+
+  readDouble() {
+    return {
+      value: this.reader.view.getFloat64(this.reader.advance(DOUBLE_SIZE))
+    }
+  }
+
+  readString() {
+    return { value: decodeUtf8(this.readBytes()) }
+  }
+
+  readBinary() {
+    return { value: bytesToBinary(this.readBytes()) }
+  }
+
+  readBytes() {
+    return this.reader.readBytes(this.readI32().value)
+  }
+}
+
+const COMPACT_PROTOCOL_ID = 0x82
+const COMPACT_VERSION = 1
+const COMPACT_VERSION_MASK = 0x1f
+const COMPACT_TYPE_SHIFT = 5
+const COMPACT_TYPE_BITS = 0x07
+const COMPACT_NIBBLE = 4
+const COMPACT_NIBBLE_MASK = 0x0f
+const COMPACT_MAX_FIELD_DELTA = 15
+const COMPACT_MAX_SHORT_LIST = 14
+const VARINT_SHIFT = 7
+const VARINT_BITS = 0x7f
+const VARINT_MORE = 0x80
+const WORD_BITS = 32
+const SIGN_BIT = 31
+
+const COMPACT_TYPE = {
+  STOP: 0,
+  BOOLEAN_TRUE: 1,
+  BOOLEAN_FALSE: 2,
+  BYTE: 3,
+  I16: 4,
+  I32: 5,
+  I64: 6,
+  DOUBLE: 7,
+  BINARY: 8,
+  LIST: 9,
+  SET: 10,
+  MAP: 11,
+  STRUCT: 12
+}
+
+const TO_COMPACT_TYPE = {
+  [TYPE.STOP]: COMPACT_TYPE.STOP,
+  [TYPE.BOOL]: COMPACT_TYPE.BOOLEAN_TRUE,
+  [TYPE.BYTE]: COMPACT_TYPE.BYTE,
+  [TYPE.I16]: COMPACT_TYPE.I16,
+  [TYPE.I32]: COMPACT_TYPE.I32,
+  [TYPE.I64]: COMPACT_TYPE.I64,
+  [TYPE.DOUBLE]: COMPACT_TYPE.DOUBLE,
+  [TYPE.STRING]: COMPACT_TYPE.BINARY,
+  [TYPE.LIST]: COMPACT_TYPE.LIST,
+  [TYPE.SET]: COMPACT_TYPE.SET,
+  [TYPE.MAP]: COMPACT_TYPE.MAP,
+  [TYPE.STRUCT]: COMPACT_TYPE.STRUCT
+}
+
+const FROM_COMPACT_TYPE = {
+  [COMPACT_TYPE.STOP]: TYPE.STOP,
+  [COMPACT_TYPE.BOOLEAN_TRUE]: TYPE.BOOL,
+  [COMPACT_TYPE.BOOLEAN_FALSE]: TYPE.BOOL,
+  [COMPACT_TYPE.BYTE]: TYPE.BYTE,
+  [COMPACT_TYPE.I16]: TYPE.I16,
+  [COMPACT_TYPE.I32]: TYPE.I32,
+  [COMPACT_TYPE.I64]: TYPE.I64,
+  [COMPACT_TYPE.DOUBLE]: TYPE.DOUBLE,
+  [COMPACT_TYPE.BINARY]: TYPE.STRING,
+  [COMPACT_TYPE.LIST]: TYPE.LIST,
+  [COMPACT_TYPE.SET]: TYPE.SET,
+  [COMPACT_TYPE.MAP]: TYPE.MAP,
+  [COMPACT_TYPE.STRUCT]: TYPE.STRUCT
+}
+
+/**
+ * Thrift's compact protocol: variable-length zigzag integers, field IDs
+ * stored as deltas, and booleans folded into their field headers.
+ */
+export class CompactProtocol extends ByteProtocol {
+  constructor(transport) {
+    super(transport)
+    this.lastFieldId = 0
+    this.lastFieldIds = []
+    this.boolFieldId = null
+    this.boolValue = null
+  }
+
+  writeMessageBegin(name, messageType, seqid) {
+    this.startWriting()
+    this.lastFieldId = 0
+    this.lastFieldIds = []
+    this.writer.writeByte(COMPACT_PROTOCOL_ID)
+    this.writer.writeByte(
+      (COMPACT_VERSION & COMPACT_VERSION_MASK) |
+        (messageType << COMPACT_TYPE_SHIFT)
+    )
+    this.writeVarint32(seqid)
+    this.writeString(name)
+  }
+
+  writeStructBegin() {
+    this.lastFieldIds.push(this.lastFieldId)
+    this.lastFieldId = 0
+  }
+
+  writeStructEnd() {
+    this.lastFieldId = this.lastFieldIds.pop()
+  }
+
+  writeFieldBegin(name, fieldType, fieldId) {
+    if (fieldType === TYPE.BOOL) {
+      // the value goes in the field header, so wait for writeBool
+      this.boolFieldId = fieldId
+    } else {
+      this.writeFieldHeader(TO_COMPACT_TYPE[fieldType], fieldId)
+    }
+  }
+
+  writeFieldHeader(compactType, fieldId) {
+    const delta = fieldId - this.lastFieldId
+    if (delta > 0 && delta <= COMPACT_MAX_FIELD_DELTA) {
+      this.writer.writeByte((delta << COMPACT_NIBBLE) | compactType)
+    } else {
+      this.writer.writeByte(compactType)
+      this.writeI16(fieldId)
+    }
+    this.lastFieldId = fieldId
+  }
+
+  writeFieldStop() {
+    this.writer.writeByte(COMPACT_TYPE.STOP)
+  }
+
+  writeMapBegin(keyType, valType, size) {
+    if (size === 0) {
+      this.writer.writeByte(0)
+      return
+    }
+    this.writeVarint32(size)
+    this.writer.writeByte(
+      (TO_COMPACT_TYPE[keyType] << COMPACT_NIBBLE) | TO_COMPACT_TYPE[valType]
+    )
+  }
+
+  writeListBegin(elemType, size) {
+    const compactType = TO_COMPACT_TYPE[elemType]
+    if (size <= COMPACT_MAX_SHORT_LIST) {
+      this.writer.writeByte((size << COMPACT_NIBBLE) | compactType)
+    } else {
+      this.writer.writeByte(
+        (COMPACT_NIBBLE_MASK << COMPACT_NIBBLE) | compactType
+      )
+      this.writeVarint32(size)
+    }
+  }
+
+  writeBool(value) {
+    const compactType = value
+      ? COMPACT_TYPE.BOOLEAN_TRUE
+      : COMPACT_TYPE.BOOLEAN_FALSE
+    if (this.boolFieldId === null) {
+      this.writer.writeByte(compactType)
+    } else {
+      this.writeFieldHeader(compactType, this.boolFieldId)
+      this.boolFieldId = null
+    }
+  }
+
+  writeByte(i8) {
+    this.writer.writeByte(i8)
+  }
+
+  writeI16(i16) {
+    this.writeI32(i16)
+  }
+
+  writeI32(i32) {
+    this.writeVarint32((i32 << 1) ^ (i32 >> SIGN_BIT))
+  }
+
+  writeI64(i64) {
+    const { high, low } = splitI64(i64)
+    const sign = high >> SIGN_BIT
+    let zigzagHigh = (((high << 1) | (low >>> SIGN_BIT)) ^ sign) >>> 0
+    let zigzagLow = ((low << 1) ^ sign) >>> 0
+    while (zigzagHigh !== 0 || zigzagLow > VARINT_BITS) {
+      this.writer.writeByte((zigzagLow & VARINT_BITS) | VARINT_MORE)
+      zigzagLow =
+        ((zigzagLow >>> VARINT_SHIFT) |
+          (zigzagHigh << (WORD_BITS - VARINT_SHIFT))) >>>
+        0
+      zigzagHigh = zigzagHigh >>> VARINT_SHIFT
+    }
+    this.writer.writeByte(zigzagLow)
+  }
+
+  writeDouble(dbl) {
+    this.writer.view.setFloat64(this.writer.advance(DOUBLE_SIZE), dbl, true)
+  }
+
+  writeString(str) {
+    this.writeBytes(encodeUtf8(str))
+  }
+
+  writeBinary(binary) {
+    this.writeBytes(binaryToBytes(binary))
+  }
+
+  writeBytes(bytes) {
+    this.writeVarint32(bytes.length)
+    this.writer.writeBytes(bytes)
+  }
+
+  writeVarint32(value) {
+    let remaining = value >>> 0
+    while (remaining > VARINT_BITS) {
+      this.writer.writeByte((remaining & VARINT_BITS) | VARINT_MORE)
+      remaining = remaining >>> VARINT_SHIFT
+    }
+    this.writer.writeByte(remaining)
+  }
+
+  readMessageBegin() {
+    this.startReading()
+    this.lastFieldId = 0
+    this.lastFieldIds = []
+    if (this.reader.readByte() !== COMPACT_PROTOCOL_ID) {
+      throw new Error("Unexpected Thrift compact protocol ID.")
+    }
+    const versionAndType = this.reader.readByte()
+    if ((versionAndType & COMPACT_VERSION_MASK) !== COMPACT_VERSION) {
+      throw new Error("Unsupported Thrift compact protocol version.")
+    }
+    const rseqid = this.readVarint32()
+    const fname = this.readString().value
+    return {
+      fname,
+      mtype: (versionAndType >> COMPACT_TYPE_SHIFT) & COMPACT_TYPE_BITS,
+      rseqid
+    }
+  }
+
+  readStructBegin() {
+    this.lastFieldIds.push(this.lastFieldId)
+    this.lastFieldId = 0
+    return { fname: NO_FIELD_NAME }
+  }
+
+  readStructEnd() {
+    this.lastFieldId = this.lastFieldIds.pop()
+  }
+
+  readFieldBegin() {
+    const header = this.reader.readByte()
+    const compactType = header & COMPACT_NIBBLE_MASK
+    if (compactType === COMPACT_TYPE.STOP) {
+      return { fname: NO_FIELD_NAME, ftype: TYPE.STOP, fid: 0 }
+    }
+    const delta = header >> COMPACT_NIBBLE
+    const fid = delta === 0 ? this.readI16().value : this.lastFieldId + delta
+    if (
+      compactType === COMPACT_TYPE.BOOLEAN_TRUE ||
+      compactType === COMPACT_TYPE.BOOLEAN_FALSE
+    ) {
+      this.boolValue = compactType === COMPACT_TYPE.BOOLEAN_TRUE
+    }
+    this.lastFieldId = fid
+    return { fname: NO_FIELD_NAME, ftype: FROM_COMPACT_TYPE[compactType], fid }
+  }
+
+  readMapBegin() {
+    const size = this.readVarint32()
+    const types = size === 0 ? 0 : this.reader.readByte()
+    return {
+      ktype: FROM_COMPACT_TYPE[types >> COMPACT_NIBBLE],
+      vtype: FROM_COMPACT_TYPE[types & COMPACT_NIBBLE_MASK],
+      size
+    }
+  }
+
+  readListBegin() {
+    const header = this.reader.readByte()
+    const shortSize = header >> COMPACT_NIBBLE
+    return {
+      etype: FROM_COMPACT_TYPE[header & COMPACT_NIBBLE_MASK],
+      size: shortSize === COMPACT_NIBBLE_MASK ? this.readVarint32() : shortSize
+    }
+  }
+
+  readBool() {
+    if (this.boolValue === null) {
+      return { value: this.reader.readByte() === COMPACT_TYPE.BOOLEAN_TRUE }
+    }
+    const value = this.boolValue
+    this.boolValue = null
+    return { value }
+  }
+
+  readByte() {
+    return { value: this.reader.view.getInt8(this.reader.advance(1)) }
+  }
+
+  readI16() {
+    return this.readI32()
+  }
+
+  readI32() {
+    const zigzag = this.readVarint32()
+    return { value: (zigzag >>> 1) ^ -(zigzag & 1) }
+  }
+
+  readI64() {
+    let zigzagHigh = 0
+    let zigzagLow = 0
+    let shift = 0
+    let byte = VARINT_MORE
+    while (byte & VARINT_MORE) {
+      byte = this.reader.readByte()
+      const bits = byte & VARINT_BITS
+      if (shift < WORD_BITS) {
+        zigzagLow = zigzagLow | (bits << shift)
+        if (shift > WORD_BITS - VARINT_SHIFT) {
+          zigzagHigh = zigzagHigh | (bits >>> (WORD_BITS - shift))
+        }
+      } else {
+        zigzagHigh = zigzagHigh | (bits << (shift - WORD_BITS))
+      }
+      shift = shift + VARINT_SHIFT
+    }
+    const sign = -(zigzagLow & 1)
+    const low = ((zigzagLow >>> 1) | (zigzagHigh << SIGN_BIT)) ^ sign
+    const high = (zigzagHigh >>> 1) ^ sign
+    return { value: joinI64(high, low) }
+  }
+
+  readDouble() {
+    return {
+      value: this.reader.view.getFloat64(this.reader.advance(DOUBLE_SIZE), true)
+    }
+  }
+
+  readString() {
+    return { value: decodeUtf8(this.readBytes()) }
+  }
+
+  readBinary() {
+    return { value: bytesToBinary(this.readBytes()) }
+  }
+
+  readBytes() {
+    return this.reader.readBytes(this.readVarint32())
+  }
+
+  readVarint32() {
+    let result = 0
+    let shift = 0
+    let byte = VARINT_MORE
+    while (byte & VARINT_MORE) {
+      byte = this.reader.readByte()
+      result = result | ((byte & VARINT_BITS) << shift)
+      shift = shift + VARINT_SHIFT
+    }
+    return result >>> 0
+  }
+}
@@ -0,0 +1,147 @@
+// Decode the values of every TDatumType, for the row, columnar, and typed
+// column result processors alike.
+
+import {
+  formatBigInt,
+  formatDecimal,
+  formatTemporal,
+  toNumber
+} from "./value-formats"
+import { formatGeo } from "./geo-values"
+
+// The list that holds each type's values: a column's int_col or a datum's
+// int_val, and so on
+const VALUE_LISTS = {
+  BOOL: "int",
+  TINYINT: "int",
+  SMALLINT: "int",
+  INT: "int",
+  BIGINT: "int",
+  FLOAT: "real",
+  DOUBLE: "real",
+  DECIMAL: "real",
+  STR: "str",
+  TIME: "int",
+  TIMESTAMP: "int",
+  DATE: "int",
+  INTERVAL_DAY_TIME: "int",
+  INTERVAL_YEAR_MONTH: "int",
+  POINT: "str",
+  LINESTRING: "str",
+  POLYGON: "str",
+  MULTIPOLYGON: "str",
+  GEOMETRY: "str",
+  GEOGRAPHY: "str"
+}
+
+const MS_PER_SECOND = 1000
+const SECONDS_PER_MINUTE = 60
+const MINUTES_PER_HOUR = 60
+const HOURS_PER_DAY = 24
+const MONTHS_PER_YEAR = 12
+
+/**
+ * Check type parsers, as for {@link #setTypeParser}.
+ * @param {Object} typeParsers The parsers by TDatumType name.
+ * @returns {String|null} The problem with the parsers, or null.
+ */
+export function validateTypeParsers(typeParsers) {
+  const types = Object.keys(typeParsers || {})
+  for (let i = 0; i < types.length; i++) {
+    if (!VALUE_LISTS.hasOwnProperty(types[i])) {
+      return `Unknown type for a type parser: ${types[i]}`
+    } else if (typeof typeParsers[types[i]] !== "function") {
+      return `The type parser for ${types[i]} isn't a function.`
+    }
+  }
+  return null
+}
+
+/**
+ * Find the list that holds the values of a type.
+ * @param {String} type The TDatumType name.
+ * @returns {String|null} "int", "real", or "str", or null for an unknown type.
+ */
+export function valueList(type) {
+  return VALUE_LISTS[type] || null
+}
+
+// Split a magnitude into units, largest first, giving each part the sign of
+// the value. Subtracting from 0 keeps a zero part from becoming -0.
+function splitDuration(value, names, sizes) {
+  let remainder = Math.abs(value)
+  const duration = {}
+  names.forEach((name, index) => {
+    const size = sizes.slice(index + 1).reduce((a, b) => a * b, 1)
+    const part = Math.floor(remainder / size)
+    remainder = remainder - part * size
+    duration[name] = value < 0 ? 0 - part : part
+  })
+  return duration
+}
+
+/**
+ * Decode an interval into a duration. The server counts a day-time
+ * interval in milliseconds, and a year-month interval in months.
+ * @param {Number} value The interval from the server.
+ * @param {String} type INTERVAL_DAY_TIME or INTERVAL_YEAR_MONTH.
+ * @returns {Object} The duration: <code>{days, hours, minutes, seconds, milliseconds}</code>,
+ *                   or <code>{years, months}</code>, each part with the interval's sign.
+ */
+export function decodeInterval(value, type) {
+  if (type === "INTERVAL_YEAR_MONTH") {
+    return splitDuration(value, ["years", "months"], [1, MONTHS_PER_YEAR])
+  }
+  return splitDuration(
+    value,
+    ["days", "hours", "minutes", "seconds", "milliseconds"],
+    [1, HOURS_PER_DAY, MINUTES_PER_HOUR, SECONDS_PER_MINUTE, MS_PER_SECOND]
+  )
+}
+
+/**
+ * Decode a value from the server, with the column type's parser if it has
+ * one.
+ * @param {*} value The value, from the list that {@link valueList} names.
+ * @param {Object} field The column's <code>type</code>, <code>scale</code>, and <code>precision</code>,
+ *                       and its <code>typeInfo</code>, the TTypeInfo for the type parsers.
+ * @param {Object} valueFormats The <code>bigint</code>, <code>decimal</code>, <code>temporal</code>, and
+ *                              <code>geo</code> formats, and the <code>typeParsers</code>.
+ * @returns {*} The decoded value.
+ */
+export function decodeValue(value, field, valueFormats) {
+  const parser =
+    valueFormats.typeParsers && valueFormats.typeParsers[field.type]
+  if (parser) {
+    return parser(value, field.typeInfo)
+  }
+  switch (field.type) {
+    case "BOOL":
+      return Boolean(toNumber(value))
+    case "TINYINT":
+    case "SMALLINT":
+    case "INT":
+      return toNumber(value)
+    case "BIGINT":
+      return formatBigInt(value, valueFormats.bigint)
+    case "DECIMAL":
+      return formatDecimal(value, field.scale, valueFormats.decimal)
+    case "TIME":
+    case "TIMESTAMP":
+    case "DATE":
+      return formatTemporal(value, field, valueFormats.temporal)
+    case "INTERVAL_DAY_TIME":
+    case "INTERVAL_YEAR_MONTH":
+      return decodeInterval(toNumber(value), field.type)
+    case "POINT":
+    case "LINESTRING":
+    case "POLYGON":
+    case "MULTIPOLYGON":
+    case "GEOMETRY":
+    case "GEOGRAPHY":
+      return formatGeo(value, valueFormats.geo)
+    default:
+      // floating point numbers and strings
+      return value
+  }
+}
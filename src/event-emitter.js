@@ -0,0 +1,65 @@
+/**
+ * A minimal event emitter that behaves the same in the browser and in Node.
+ * Listeners are called synchronously, in the order they were added. An
+ * error thrown by a listener is handed to <code>onListenerError</code>, so
+ * that it doesn't stop the other listeners or the request that emitted the
+ * event, such as a query whose callback comes after its <code>queryEnd</code>.
+ */
+export default class EventEmitter {
+  /**
+   * @param {Function} [onListenerError] Called later with an error thrown by a listener, and the event.
+   */
+  constructor(onListenerError = () => null) {
+    this._listeners = {}
+    this._onListenerError = onListenerError
+  }
+
+  /**
+   * Add a listener for an event.
+   * @param {String} event The name of the event.
+   * @param {Function} listener Called with the event's arguments.
+   * @return {EventEmitter} The emitter itself.
+   */
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new Error("The listener for " + event + " must be a function.")
+    }
+    this._listeners[event] = (this._listeners[event] || []).concat(listener)
+    return this
+  }
+
+  /**
+   * Remove a listener for an event, or every listener for the event when
+   * no listener is given.
+   * @param {String} event The name of the event.
+   * @param {Function} [listener] The listener passed to {@link on}.
+   * @return {EventEmitter} The emitter itself.
+   */
+  off(event, listener) {
+    if (!listener) {
+      delete this._listeners[event]
+    } else if (this._listeners[event]) {
+      this._listeners[event] = this._listeners[event].filter(
+        added => added !== listener
+      )
+    }
+    return this
+  }
+
+  /**
+   * Call every listener for an event.
+   * @param {String} event The name of the event.
+   * @param {...*} args The arguments passed to each listener.
+   * @return {Boolean} Whether the event had any listeners.
+   */
+  emit(event, ...args) {
+    const listeners = this._listeners[event] || []
+    // A promise calls its executor right away and catches what it throws
+    listeners.forEach(listener =>
+      new Promise(resolve => resolve(listener(...args))).catch(error =>
+        this._onListenerError(error, event)
+      )
+    )
+    return listeners.length > 0
+  }
+}
@@ -0,0 +1,221 @@
+import { CONTENT_TYPES, createResponseError } from "./xhr-transport"
+
+const HTTP_OK = 200
+const NO_RESPONSE = { status: 0 }
+
+// The transport options that apply to the fetch transport; the others
+// configure Node's http module, which fetch doesn't use.
+export const FETCH_OPTIONS = ["fetch", "keepalive", "signal"]
+
+/**
+ * Check that the fetch transport can be used with the transport options.
+ * @param {Object} transportOptions The transport options.
+ * @returns {String} The reason the fetch transport can't be used, or null.
+ */
+export function validateFetchTransport(transportOptions) {
+  const unsupported = Object.keys(transportOptions).filter(
+    option => FETCH_OPTIONS.indexOf(option) === -1
+  )
+  if (unsupported.length > 0) {
+    return `The fetch transport doesn't support the ${
+      unsupported[0]
+    } transport option.`
+  } else if (!transportOptions.fetch && typeof fetch !== "function") {
+    return "This runtime has no fetch; pass one in the fetch transport option."
+  }
+  return null
+}
+
+// An aborted request is reported as it is, so that it isn't retried;
+// anything else means the server couldn't be reached.
+function createFetchError(error, url) {
+  return error && error.name === "AbortError"
+    ? error
+    : createResponseError(NO_RESPONSE, url)
+}
+
+function post(url, body, headers, options) {
+  const { signal, keepalive } = options
+  const send = options.fetch || fetch
+  return send(url, { method: "POST", headers, body, signal, keepalive }).catch(
+    error => {
+      throw createFetchError(error, url)
+    }
+  )
+}
+
+// Read the response body as it arrives, one chunk at a time.
+function readBody(response, onChunk) {
+  if (!response.body || !response.body.getReader) {
+    return response
+      .arrayBuffer()
+      .then(buffer => onChunk(new Uint8Array(buffer)))
+  }
+  const reader = response.body.getReader()
+  const readChunk = () =>
+    reader.read().then(({ done, value }) => {
+      if (done) {
+        return null
+      }
+      onChunk(value)
+      return readChunk()
+    })
+  return readChunk()
+}
+
+function readResponse(response, encoding) {
+  if (encoding === "json") {
+    const decoder = new TextDecoder("utf-8")
+    let text = ""
+    return readBody(response, chunk => {
+      text = text + decoder.decode(chunk, { stream: true })
+    }).then(() => text + decoder.decode())
+  }
+  const chunks = []
+  let length = 0
+  return readBody(response, chunk => {
+    chunks.push(chunk)
+    length = length + chunk.length
+  }).then(() => {
+    const bytes = new Uint8Array(length)
+    let offset = 0
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset)
+      offset = offset + chunk.length
+    })
+    return bytes
+  })
+}
+
+// Run the callback outside of the promise chain, so that an error thrown by
+// the client, or by the caller's callback that it runs, isn't turned into an
+// unhandled rejection.
+function callLater(callback) {
+  setTimeout(callback)
+}
+
+function discardBody(response) {
+  if (response.body && response.body.cancel) {
+    response.body.cancel().catch(() => null)
+  }
+}
+
+/**
+ * Create a browser Thrift transport that sends its requests with
+ * <code>fetch</code>, which, unlike XHR, is also available in Web Workers
+ * and Service Workers. It only sends asynchronous requests. Failed requests
+ * and non-200 responses reach the client's callback as errors, as with
+ * {@link createXhrTransport}.
+ * @param {Function} Transport The browser <code>Thrift.Transport</code> constructor.
+ * @param {String} url The URL of the server's Thrift endpoint.
+ * @param {Object} [options] The transport options.
+ * @param {Function} [options.getHeaders] Returns the extra headers for a request; called once per request.
+ * @param {String} [options.encoding="json"] The Thrift protocol encoding: <code>json</code>,
+ *                 <code>binary</code>, or <code>compact</code>.
+ * @param {Function} [options.fetch] The fetch function to use instead of the global one.
+ * @param {AbortSignal} [options.signal] Aborts the requests in flight when it fires, and every later
+ *                      request, since each request is sent with it.
+ * @param {Boolean} [options.keepalive] Whether requests may outlive the page that sent them.
+ * @returns {Object} The transport.
+ */
+export default function createFetchTransport(
+  Transport,
+  url,
+  { getHeaders = () => ({}), encoding = "json", ...options } = {}
+) {
+  const transport = new Transport(url)
+  const readAll = transport.readAll
+  let recvError = null
+
+  transport.flush = (async, callback) => {
+    if (async && !callback) {
+      return transport.send_buf
+    } else if (!callback) {
+      throw new Error("The fetch transport only sends asynchronous requests.")
+    }
+    // the Thrift headers come last so that they can't be overridden
+    const headers = Object.assign({}, getHeaders(), {
+      Accept: CONTENT_TYPES[encoding],
+      "Content-Type": CONTENT_TYPES[encoding]
+    })
+    post(transport.url, transport.send_buf, headers, options)
+      .then(response => {
+        if (response.status !== HTTP_OK) {
+          discardBody(response)
+          throw createResponseError(response, transport.url)
+        }
+        return readResponse(response, encoding).catch(error => {
+          throw createFetchError(error, transport.url)
+        })
+      })
+      .then(
+        body => {
+          transport.setRecvBuffer(body)
+        },
+        error => {
+          recvError = error
+        }
+      )
+      .then(() => callLater(callback))
+    return null
+  }
+
+  // As with the XHR transport, a failed request surfaces as an error thrown
+  // from the client's read of the response.
+  transport.readAll = () => {
+    if (recvError) {
+      const error = recvError
+      recvError = null
+      throw error
+    }
+    return readAll.call(transport)
+  }
+
+  return transport
+}
+
+/**
+ * Make a Node Thrift http connection send its requests with
+ * <code>fetch</code> instead of Node's http module. Each response body is
+ * handed to the connection as it streams in, as if it were a Node response.
+ * A request that fails is reported as an <code>error</code> event on the
+ * connection.
+ * @param {HttpConnection} connection The connection made by Thrift's <code>createHttpConnection</code>.
+ * @param {String} url The URL of the server's Thrift endpoint.
+ * @param {Object} options The <code>fetch</code>, <code>signal</code>, and <code>keepalive</code> transport options.
+ * @returns {undefined}
+ */
+export function sendWithFetch(connection, url, options) {
+  const fail = error => connection.emit("error", error)
+  connection.write = data => {
+    // each request's response goes to the callback in place when it's sent,
+    // as with Node's http module
+    const onResponse = connection.responseCallback
+    // fetch manages the connection itself and refuses to be told how
+    const headers = Object.assign({}, connection.nodeOptions.headers)
+    delete headers.Connection
+    const receive = response => {
+      const listeners = {}
+      const nodeResponse = {
+        statusCode: response.status,
+        on: (event, listener) => {
+          listeners[event] = listener
+          return nodeResponse
+        },
+        resume: () => discardBody(response)
+      }
+      onResponse(nodeResponse)
+      if (!listeners.end) {
+        return
+      }
+      readBody(response, chunk => listeners.data(chunk)).then(
+        () => callLater(listeners.end),
+        error => callLater(() => fail(createFetchError(error, url)))
+      )
+    }
+    post(url, data, headers, options).then(
+      response => callLater(() => receive(response)),
+      error => callLater(() => fail(error))
+    )
+  }
+}
@@ -0,0 +1,44 @@
+// Describe result and table columns from their TTypeInfo, for query
+// results, validateQuery, and getFields alike.
+
+/**
+ * Describe a column.
+ * @param {String} name The column name.
+ * @param {TTypeInfo} colType The column's type from the server.
+ * @param {Object} datumEnum The TDatumType names by value, from {@link #invertDatumTypes}.
+ * @param {Object} encodingEnum The TEncodingType names by value, from {@link #invertDatumTypes}.
+ * @returns {Object} The <code>name</code>, <code>type</code>, <code>is_array</code>, <code>is_dict</code>,
+ *                   <code>nullable</code>, <code>precision</code>, <code>scale</code>, <code>encoding</code>
+ *                   name, <code>comp_param</code>, and <code>dictionary_id</code>, which is null unless the
+ *                   column is dictionary encoded.
+ */
+export function describeField(name, colType, datumEnum, encodingEnum) {
+  const encoding = encodingEnum[colType.encoding] || null
+  const isDict = encoding === "DICT"
+  return {
+    name,
+    type: datumEnum[colType.type],
+    is_array: colType.is_array,
+    is_dict: isDict,
+    nullable: colType.nullable,
+    precision: colType.precision,
+    scale: colType.scale,
+    encoding,
+    comp_param: colType.comp_param,
+    // a dictionary encoded column keeps its dictionary id in comp_param
+    dictionary_id: isDict ? colType.comp_param : null
+  }
+}
+
+/**
+ * Describe the columns of a result set.
+ * @param {Array<TColumnType>} rowDesc The <code>row_desc</code> of the result set.
+ * @param {Object} datumEnum The TDatumType names by value.
+ * @param {Object} encodingEnum The TEncodingType names by value.
+ * @returns {Array<Object>} A {@link describeField} descriptor per column.
+ */
+export function describeFields(rowDesc, datumEnum, encodingEnum) {
+  return rowDesc.map(field =>
+    describeField(field.col_name, field.col_type, datumEnum, encodingEnum)
+  )
+}
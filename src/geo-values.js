@@ -0,0 +1,204 @@
+// Decode the WKT that the server sends for geo columns into GeoJSON
+// geometries, or into flat coordinate buffers for WebGL layers.
+
+export const GEO_FORMATS = ["wkt", "geojson", "coords"]
+
+const GEOJSON_TYPES = {
+  POINT: "Point",
+  MULTIPOINT: "MultiPoint",
+  LINESTRING: "LineString",
+  MULTILINESTRING: "MultiLineString",
+  POLYGON: "Polygon",
+  MULTIPOLYGON: "MultiPolygon",
+  GEOMETRYCOLLECTION: "GeometryCollection"
+}
+
+// How deeply each type nests its vertices: in lines, in rings, in polygons
+const VERTEX_DEPTHS = {
+  Point: 0,
+  MultiPoint: 1,
+  LineString: 1,
+  MultiLineString: 2,
+  Polygon: 2,
+  MultiPolygon: 3
+}
+
+const DIMENSIONS = ["Z", "M", "ZM"]
+const POINT_DEPTH = 0
+const LINE_DEPTH = 1
+const POLYGON_DEPTH = 3
+
+/**
+ * Parse WKT, as the server sends it, into a GeoJSON geometry.
+ * @param {String} wkt The well-known text, optionally with an EWKT <code>SRID=n;</code> prefix.
+ * @returns {Object} The GeoJSON geometry.
+ */
+export function parseWkt(wkt) {
+  const text = wkt.replace(/^\s*SRID=\d+;/i, "")
+  let position = 0
+
+  function fail(expected) {
+    throw new Error(
+      `Can't parse the WKT at position ${position}; expected ${expected}.`
+    )
+  }
+
+  function match(pattern) {
+    const found = pattern.exec(text.slice(position))
+    if (found) {
+      position = position + found[0].length
+    }
+    return found
+  }
+
+  function expect(char, description) {
+    if (!match(new RegExp(`^\\s*\\${char}`))) {
+      fail(description)
+    }
+  }
+
+  function readWord() {
+    const word = match(/^\s*([A-Za-z]+)/)
+    return word ? word[1].toUpperCase() : null
+  }
+
+  function readVertex() {
+    const vertex = []
+    let number = match(/^\s*(-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/)
+    while (number) {
+      vertex.push(Number(number[1]))
+      number = match(/^\s*(-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/)
+    }
+    if (!vertex.length) {
+      fail("a coordinate")
+    }
+    return vertex
+  }
+
+  function readList(readItem) {
+    expect("(", "(")
+    const items = [readItem()]
+    while (match(/^\s*,/)) {
+      items.push(readItem())
+    }
+    expect(")", ") or ,")
+    return items
+  }
+
+  // A MultiPoint's points may or may not be in parentheses
+  function readPoint() {
+    if (match(/^\s*\(/)) {
+      const vertex = readVertex()
+      expect(")", ")")
+      return vertex
+    }
+    return readVertex()
+  }
+
+  function readCoordinates(depth) {
+    if (depth === POINT_DEPTH) {
+      return readList(readVertex)[0]
+    } else if (depth === LINE_DEPTH) {
+      return readList(readPoint)
+    }
+    return readList(() => readCoordinates(depth - 1))
+  }
+
+  function readGeometry() {
+    const word = readWord()
+    const type = GEOJSON_TYPES[word]
+    if (!type) {
+      fail("a geometry type")
+    }
+    let next = readWord()
+    if (DIMENSIONS.indexOf(next) !== -1) {
+      next = readWord()
+    }
+    if (next === "EMPTY") {
+      return type === "GeometryCollection"
+        ? { type, geometries: [] }
+        : { type, coordinates: [] }
+    } else if (next) {
+      fail("EMPTY or (")
+    }
+    return type === "GeometryCollection"
+      ? { type, geometries: readList(readGeometry) }
+      : { type, coordinates: readCoordinates(VERTEX_DEPTHS[type]) }
+  }
+
+  const geometry = readGeometry()
+  if (!/^\s*$/.test(text.slice(position))) {
+    fail("the end")
+  }
+  return geometry
+}
+
+// Append the vertices of a line or ring, and where they start, to the buffers
+function addRing(buffers, ring) {
+  buffers.ringOffsets.push(
+    buffers.size ? buffers.values.length / buffers.size : 0
+  )
+  ring.forEach(vertex => {
+    buffers.size = buffers.size || vertex.length
+    buffers.values.push(...vertex)
+  })
+}
+
+function addPolygon(buffers, rings) {
+  buffers.polygonOffsets.push(buffers.ringOffsets.length)
+  rings.forEach(ring => addRing(buffers, ring))
+}
+
+/**
+ * Flatten a GeoJSON geometry into a Float64Array of its coordinates, with
+ * the index of the first vertex of each line or ring in
+ * <code>ringOffsets</code>, and of the first ring of each polygon in
+ * <code>polygonOffsets</code>. <code>size</code> is the number of values per vertex.
+ * A GeometryCollection becomes <code>{type, geometries}</code>, with the
+ * buffers of each of its geometries.
+ * @param {Object} geometry The GeoJSON geometry.
+ * @returns {Object} The <code>{type, size, coordinates, ringOffsets, polygonOffsets}</code>.
+ */
+export function toCoordinateBuffers(geometry) {
+  if (geometry.type === "GeometryCollection") {
+    return {
+      type: geometry.type,
+      geometries: geometry.geometries.map(toCoordinateBuffers)
+    }
+  }
+  const depth = VERTEX_DEPTHS[geometry.type]
+  if (typeof depth === "undefined") {
+    throw new Error(`Can't flatten a ${geometry.type} into coordinate buffers.`)
+  }
+  let polygons = geometry.coordinates
+  if (depth === POINT_DEPTH) {
+    polygons = geometry.coordinates.length ? [[[geometry.coordinates]]] : []
+  } else if (depth < POLYGON_DEPTH) {
+    polygons = depth === LINE_DEPTH ? [[geometry.coordinates]] : [polygons]
+  }
+
+  const buffers = { size: 0, values: [], ringOffsets: [], polygonOffsets: [] }
+  polygons.forEach(rings => addPolygon(buffers, rings))
+  return {
+    type: geometry.type,
+    size: buffers.size,
+    coordinates: new Float64Array(buffers.values),
+    ringOffsets: new Uint32Array(buffers.ringOffsets),
+    polygonOffsets: new Uint32Array(buffers.polygonOffsets)
+  }
+}
+
+/**
+ * Format a geo value as WKT, as a GeoJSON geometry, or as coordinate buffers.
+ * @param {String} wkt The WKT from the server.
+ * @param {String} [format="wkt"] "wkt", "geojson", or "coords".
+ * @returns {String|Object} The formatted value.
+ */
+export function formatGeo(wkt, format = "wkt") {
+  if (format === "geojson") {
+    return parseWkt(wkt)
+  } else if (format === "coords") {
+    return toCoordinateBuffers(parseWkt(wkt))
+  }
+  return wkt
+}
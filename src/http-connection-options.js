@@ -0,0 +1,74 @@
+import { FETCH_OPTIONS } from "./fetch-transport"
+
+// Passed through to Node's https.request; see the Node TLS documentation.
+const TLS_OPTIONS = [
+  "ca",
+  "cert",
+  "key",
+  "passphrase",
+  "pfx",
+  "rejectUnauthorized",
+  "servername"
+]
+
+export const TRANSPORT_OPTIONS = TLS_OPTIONS.concat(
+  ["agent", "proxy"],
+  FETCH_OPTIONS
+)
+
+/**
+ * Check the options given to {@link MapdCon#transportOptions}.
+ * @param {Object} options The transport options.
+ * @returns {String} The reason the options can't be used, or null.
+ */
+export function validateTransportOptions(options) {
+  const unknown = Object.keys(options).filter(
+    option => TRANSPORT_OPTIONS.indexOf(option) === -1
+  )
+  if (unknown.length > 0) {
+    return `Unknown transport option: ${unknown[0]}`
+  } else if (options.proxy && !(options.proxy.host && options.proxy.port)) {
+    return "Please enter a host and port for the proxy."
+  }
+  return null
+}
+
+/**
+ * Build the options for Thrift's Node <code>createHttpConnection</code> from
+ * the transport options. With a <code>proxy</code>, requests are sent to the
+ * proxy with the server's absolute URL as the path, as HTTP forward proxies
+ * expect, so it only applies to http servers; https servers need an
+ * <code>agent</code> that tunnels through the proxy instead.
+ * @param {Object} server The <code>{protocol, host, port}</code> of the server.
+ * @param {Object} transportOptions The transport options.
+ * @returns {Object} The <code>{path, headers, https, nodeOptions}</code> connection options.
+ */
+export default function httpConnectionOptions(server, transportOptions) {
+  const { protocol, host, port } = server
+  const { agent, proxy } = transportOptions
+  const headers = { Connection: agent ? "keep-alive" : "close" }
+  const nodeOptions = {}
+  TLS_OPTIONS.filter(option => transportOptions.hasOwnProperty(option)).forEach(
+    option => {
+      nodeOptions[option] = transportOptions[option]
+    }
+  )
+  if (agent) {
+    nodeOptions.agent = agent
+  }
+
+  let path = "/"
+  if (proxy) {
+    nodeOptions.host = proxy.host
+    nodeOptions.port = proxy.port
+    path = `http://${host}:${port}/`
+    headers.Host = `${host}:${port}`
+    if (proxy.auth) {
+      headers["Proxy-Authorization"] = `Basic ${Buffer.from(
+        proxy.auth
+      ).toString("base64")}`
+    }
+  }
+
+  return { path, headers, https: protocol === "https", nodeOptions }
+}
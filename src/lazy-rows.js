@@ -0,0 +1,34 @@
+/**
+ * Create an array-like view of the rows of a result that decodes each row
+ * when it's read, so that showing a few rows of a large result doesn't
+ * decode the rest. Each read decodes a new row object.
+ * @param {Array<Number>} rowIndexes The indexes of the rows in the result set, after dropping rows with nulls.
+ * @param {Function} decodeRow Decodes the row at an index of the result set.
+ * @returns {Object} The rows: their <code>length</code>, <code>get(i)</code> for the row at an
+ *                   index, or null outside the rows, <code>toArray()</code> to decode all of them,
+ *                   and iteration.
+ */
+export default function createLazyRows(rowIndexes, decodeRow) {
+  const get = index =>
+    index >= 0 && index < rowIndexes.length
+      ? decodeRow(rowIndexes[Math.floor(index)])
+      : null
+
+  return {
+    length: rowIndexes.length,
+    get,
+    toArray: () => rowIndexes.map(decodeRow),
+    [Symbol.iterator]: () => {
+      let index = 0
+      return {
+        next: () => {
+          if (index >= rowIndexes.length) {
+            return { done: true }
+          }
+          index = index + 1
+          return { done: false, value: get(index - 1) }
+        }
+      }
+    }
+  }
+}
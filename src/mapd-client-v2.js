@@ -1,5 +1,5 @@
 const MapDClient =
-  (typeof window !== "undefined" && window.MapDClient) ||
+  (typeof self !== "undefined" && self.MapDClient) ||
   require("../build/thrift/node/mapd.thrift.js").Client // eslint-disable-line global-require
 
 import { wrapWithErrorHandling } from "./wrap-with-error-handling"
@@ -0,0 +1,79 @@
+import { createNetworkError, isNetworkError } from "./wrap-with-error-handling"
+import { createResponseError } from "./xhr-transport"
+
+const HTTP_OK = 200
+
+// A request that failed is forgotten by the client before its callback runs.
+// An entry may be null, where MapdCon has dropped the callback of a request
+// it gave up on.
+function failRequest(client, seqid, error) {
+  const callback = client._reqs[seqid]
+  delete client._reqs[seqid]
+  return typeof callback === "function" ? callback(error) : null
+}
+
+/**
+ * Fail every request in flight on a Node Thrift client.
+ * @param {Object} client The client made by Thrift's <code>createClient</code>.
+ * @param {Error} error The error to call back with.
+ * @returns {undefined}
+ */
+export function failPendingRequests(client, error) {
+  Object.keys(client._reqs).forEach(seqid => failRequest(client, seqid, error))
+}
+
+/**
+ * Thrift's Node connection tries to decode any response, so an error page
+ * from a proxy (502 during a deploy, ...) leaves the request waiting forever.
+ * Make a non-200 response fail the request it answers instead: with a
+ * <code>NetworkError</code> for a 5xx, which fails over to another server,
+ * and a plain error for a 4xx, which another server wouldn't answer either.
+ * The client writes each request right after numbering it, so the request
+ * being written is the client's latest.
+ * @param {HttpConnection} connection The connection made by Thrift's <code>createHttpConnection</code>.
+ * @param {Object} client The client using the connection.
+ * @returns {undefined}
+ */
+export function failRequestsOnHttpError(connection, client) {
+  const write = connection.write
+  const onResponse = connection.responseCallback
+  connection.write = data => {
+    const seqid = client._seqid
+    connection.responseCallback = response => {
+      if (response.statusCode === HTTP_OK) {
+        onResponse(response)
+        return
+      }
+      response.resume()
+      failRequest(
+        client,
+        seqid,
+        createResponseError({ status: response.statusCode })
+      )
+    }
+    write.call(connection, data)
+  }
+}
+
+/**
+ * Node reports a failed request on the connection instead of its callback.
+ * System errors (ECONNREFUSED, ECONNRESET, ...) mean the server is
+ * unreachable, so every request in flight to it has failed. The fetch
+ * transport reports the same as a <code>NetworkError</code>, and aborted
+ * requests as an <code>AbortError</code> (whose DOMException code isn't a
+ * system one). Other errors are logged.
+ * @param {HttpConnection} connection The connection made by Thrift's <code>createHttpConnection</code>.
+ * @param {Object} client The client using the connection.
+ * @returns {undefined}
+ */
+export function failRequestsOnConnectionError(connection, client) {
+  connection.on("error", error => {
+    if (isNetworkError(error) || error.name === "AbortError") {
+      failPendingRequests(client, error)
+    } else if (error.code) {
+      failPendingRequests(client, createNetworkError(error.message))
+    } else {
+      console.error(error) // eslint-disable-line no-console
+    }
+  })
+}
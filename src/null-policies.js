@@ -0,0 +1,66 @@
+// How the result processors treat nulls: the value that stands for a null,
+// the columns whose nulls drop a row, and the values that fill a column's
+// nulls.
+
+/**
+ * Check the null options of a query.
+ * @param {Object} nullPolicies The options.
+ * @param {Array<String>} [nullPolicies.dropNullsIn] The columns whose nulls drop a row.
+ * @param {Object} [nullPolicies.fillNulls] The values to fill nulls with, by column.
+ * @returns {String|null} The problem with the options, or null.
+ */
+export function validateNullPolicies({ dropNullsIn, fillNulls }) {
+  if (dropNullsIn && !Array.isArray(dropNullsIn)) {
+    return "Please enter an array of column names for dropNullsIn."
+  } else if (fillNulls && typeof fillNulls !== "object") {
+    return "Please enter an object of values by column name for fillNulls."
+  }
+  return null
+}
+
+function columnIndex(names, name, option) {
+  const index = names.indexOf(name)
+  if (index === -1) {
+    throw new Error(`Unknown column in ${option}: ${name}`)
+  }
+  return index
+}
+
+/**
+ * Resolve the null options of a query against the columns of its result.
+ * @param {Array<String>} names The column names.
+ * @param {Boolean} eliminateNullRows Whether a null in any column drops a row.
+ * @param {Object} nullPolicies The <code>nullValue</code>, <code>dropNullsIn</code>, and
+ *                              <code>fillNulls</code> options, as for {@link #query}.
+ * @param {Object} defaults The processor's own nulls without a <code>nullValue</code>:
+ *                          the <code>scalar</code> null and the array <code>element</code> null.
+ * @returns {Object} The indexes of the columns whose nulls drop a row in <code>dropColumns</code>,
+ *                   the null of each column in <code>scalarNulls</code>, and the <code>elementNull</code>.
+ */
+export function resolveNullPolicies(
+  names,
+  eliminateNullRows,
+  nullPolicies,
+  defaults
+) {
+  const hasNullValue = nullPolicies.hasOwnProperty("nullValue")
+  const scalarNull = hasNullValue ? nullPolicies.nullValue : defaults.scalar
+  const fillNulls = nullPolicies.fillNulls || {}
+  Object.keys(fillNulls).forEach(name => columnIndex(names, name, "fillNulls"))
+
+  let dropColumns = []
+  if (eliminateNullRows) {
+    dropColumns = names.map((name, index) => index)
+  } else if (nullPolicies.dropNullsIn) {
+    dropColumns = nullPolicies.dropNullsIn.map(name =>
+      columnIndex(names, name, "dropNullsIn")
+    )
+  }
+  return {
+    dropColumns,
+    scalarNulls: names.map(
+      name => (fillNulls.hasOwnProperty(name) ? fillNulls[name] : scalarNull)
+    ),
+    elementNull: hasNullValue ? nullPolicies.nullValue : defaults.element
+  }
+}
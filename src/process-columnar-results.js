@@ -1,3 +1,7 @@
+import { decodeValue, valueList } from "./decode-values"
+import createLazyRows from "./lazy-rows"
+import { resolveNullPolicies } from "./null-policies"
+
 /**
  * Process the column-based results from the query in a row-based format.
  * (Returning row-based results directly from the server is inefficient.)
@@ -5,135 +9,102 @@
  * @param {TRowSet} data The column-based data returned from a query.
  * @param {Boolean} eliminateNullRows A flag that removes null rows from results.
  * @param {Object} dataEnum A list of types created from when executing {@link #invertDatumTypes}.
+ * @param {Object} [valueFormats] The <code>bigint</code>, <code>decimal</code>, <code>temporal</code>, and
+ *                                <code>geo</code> formats, and the <code>typeParsers</code>, as for {@link #query}.
+ * @param {Object} [nullPolicies] The <code>nullValue</code>, <code>dropNullsIn</code>, and <code>fillNulls</code>
+ *                                options, as for {@link #query}. Without a <code>nullValue</code>, a null is
+ *                                <code>null</code>, and a null array element is <code>"NULL"</code>.
+ * @param {Boolean} [lazyRows] Whether to return the rows as {@link createLazyRows}, which decode each
+ *                            row when it's read.
  * @returns {Object} The formatted results of the query.
  * @example <caption>Convert data returned in column-based format to row-based:</caption>
  */
 export default function processColumnarResults(
   data,
   eliminateNullRows,
-  dataEnum
+  dataEnum,
+  valueFormats = {},
+  nullPolicies = {},
+  lazyRows = false
 ) {
   const formattedResult = { fields: [], results: [] }
   const numCols = data.row_desc.length
   const numRows =
     typeof data.columns[0] === "undefined" ? 0 : data.columns[0].nulls.length
-  // to satisfy eslint no-magic-numbers rule
-  const oneThousandMilliseconds = 1000
 
   formattedResult.fields = data.row_desc.map(field => ({
     name: field.col_name,
     type: dataEnum[field.col_type.type],
     is_array: field.col_type.is_array
   }))
+  const types = data.row_desc.map(field => ({
+    type: dataEnum[field.col_type.type],
+    scale: field.col_type.scale,
+    precision: field.col_type.precision,
+    typeInfo: field.col_type
+  }))
+
+  const nullValues = resolveNullPolicies(
+    formattedResult.fields.map(field => field.name),
+    eliminateNullRows,
+    nullPolicies,
+    { scalar: null, element: "NULL" }
+  )
 
+  const rowIndexes = []
   for (let r = 0; r < numRows; r++) {
-    if (eliminateNullRows) {
-      let rowHasNull = false
-      for (let c = 0; c < numCols; c++) {
-        if (data.columns[c].nulls[r]) {
-          rowHasNull = true
-          break
-        }
-      }
-      if (rowHasNull) {
-        continue // eslint-disable-line no-continue
-      }
+    if (!nullValues.dropColumns.some(c => data.columns[c].nulls[r])) {
+      rowIndexes.push(r)
     }
+  }
+
+  const decodeRow = r => {
     const row = {}
     for (let c = 0; c < numCols; c++) {
       const fieldName = formattedResult.fields[c].name
       const fieldType = formattedResult.fields[c].type
       const fieldIsArray = formattedResult.fields[c].is_array
+      const list = valueList(fieldType)
       const isNull = data.columns[c].nulls[r]
       if (isNull) {
-        // row[fieldName] = "NULL";
-        row[fieldName] = null
+        row[fieldName] = nullValues.scalarNulls[c]
         continue // eslint-disable-line no-continue
       }
       if (fieldIsArray) {
+        if (!list) {
+          throw new Error("Unrecognized array field type: " + fieldType)
+        }
         row[fieldName] = []
-        const arrayNumElems = data.columns[c].data.arr_col[r].nulls.length
+        const arrayData = data.columns[c].data.arr_col[r]
+        const arrayNumElems = arrayData.nulls.length
         for (let e = 0; e < arrayNumElems; e++) {
-          if (data.columns[c].data.arr_col[r].nulls[e]) {
-            row[fieldName].push("NULL")
+          if (arrayData.nulls[e]) {
+            row[fieldName].push(nullValues.elementNull)
             continue // eslint-disable-line no-continue
           }
-          switch (fieldType) {
-            case "BOOL":
-              row[fieldName].push(
-                Boolean(data.columns[c].data.arr_col[r].data.int_col[e])
-              )
-              break
-            case "SMALLINT":
-            case "INT":
-            case "BIGINT":
-            case "TINYINT":
-              row[fieldName].push(
-                data.columns[c].data.arr_col[r].data.int_col[e]
-              )
-              break
-            case "FLOAT":
-            case "DOUBLE":
-            case "DECIMAL":
-              row[fieldName].push(
-                data.columns[c].data.arr_col[r].data.real_col[e]
-              )
-              break
-            case "STR":
-              row[fieldName].push(
-                data.columns[c].data.arr_col[r].data.str_col[e]
-              )
-              break
-            case "TIME":
-            case "TIMESTAMP":
-            case "DATE":
-              row[fieldName].push(
-                data.columns[c].data.arr_col[r].data.int_col[e] *
-                  oneThousandMilliseconds
-              )
-              break
-            default:
-              throw new Error("Unrecognized array field type: " + fieldType)
-          }
+          row[fieldName].push(
+            decodeValue(
+              arrayData.data[`${list}_col`][e],
+              types[c],
+              valueFormats
+            )
+          )
         }
       } else {
-        switch (fieldType) {
-          case "BOOL":
-            row[fieldName] = Boolean(data.columns[c].data.int_col[r])
-            break
-          case "SMALLINT":
-          case "INT":
-          case "BIGINT":
-          case "TINYINT":
-            row[fieldName] = data.columns[c].data.int_col[r]
-            break
-          case "FLOAT":
-          case "DOUBLE":
-          case "DECIMAL":
-            row[fieldName] = data.columns[c].data.real_col[r]
-            break
-          case "STR":
-            row[fieldName] = data.columns[c].data.str_col[r]
-            break
-          case "TIME":
-          case "TIMESTAMP":
-          case "DATE":
-            row[fieldName] = new Date(
-              data.columns[c].data.int_col[r] * oneThousandMilliseconds
-            )
-            break
-          case "POINT":
-          case "LINESTRING":
-          case "POLYGON":
-          case "MULTIPOLYGON":
-            row[fieldName] = data.columns[c].data.str_col[r]
-            break
-          default:
-            throw new Error("Unrecognized field type: " + fieldType)
+        if (!list) {
+          throw new Error("Unrecognized field type: " + fieldType)
         }
+        row[fieldName] = decodeValue(
+          data.columns[c].data[`${list}_col`][r],
+          types[c],
+          valueFormats
+        )
       }
     }
-    formattedResult.results.push(row)
+    return row
   }
+  formattedResult.results = lazyRows
+    ? createLazyRows(rowIndexes, decodeRow)
+    : rowIndexes.map(decodeRow)
   return formattedResult
 }
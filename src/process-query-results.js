@@ -1,13 +1,26 @@
+import { describeFields } from "./field-descriptors"
 import processColumnarResults from "./process-columnar-results"
 import processRowResults from "./process-row-results"
+import processTypedColumns from "./process-typed-columns"
 /**
  * Determines how to process raw results when they return from the server.
  *
  * @param {Boolean} logging If enabled, shows on the console how long the query took to run.
  * @param {Function} updateQueryTimes A function that updates internal query times on the connector.
+ * @param {Object} [encodingEnum] The TEncodingType names by value, for the field descriptors.
  * @param {Object} options A list of options for processing the results.
  * @param {Boolean} options.isImage Set to true when querying for backend-rendered images.
  * @param {Boolean} options.eliminateNullRows Removes null rows.
+ * @param {Boolean} options.returnSchema Returns the results with a complete descriptor per field.
+ * @param {String} options.resultFormat "columns" to return typed columns instead of rows.
+ * @param {Boolean} options.lazyRows Returns rows that are decoded when they're read.
+ * @param {String} options.bigint The format of BIGINT values.
+ * @param {String} options.decimal The format of DECIMAL values.
+ * @param {String|Function} options.temporal The format of TIMESTAMP, DATE, and TIME values.
+ * @param {String} options.geo The format of geo values.
+ * @param {Object} options.typeParsers The parsers of values by type.
+ * @param {Object} options.nullPolicies The <code>nullValue</code>, <code>dropNullsIn</code>, and
+ *                                      <code>fillNulls</code> options.
  * @param {String} options.query The SQL query string used only for logging.
  * @param {Number} options.queryId The ID of the query.
  * @param {Number} options.conId The unique connector identification.
@@ -18,10 +31,18 @@ import processRowResults from "./process-row-results"
  * @return {Object} Null if image with callbacks, result if image with callbacks,
  *                  otherwise formatted results.
  */
-export default function processQueryResults(logging, updateQueryTimes) {
+export default function processQueryResults(
+  logging,
+  updateQueryTimes,
+  encodingEnum = {}
+) {
   return function(options, _datumEnum, result, callback) {
     let isImage = false
     let eliminateNullRows = false
+    let resultFormat = "rows"
+    let valueFormats = {}
+    let nullPolicies = {}
+    let lazyRows = false
     let query = null
     let queryId = null
     let conId = null
@@ -33,6 +54,16 @@ export default function processQueryResults(logging, updateQueryTimes) {
       eliminateNullRows = options.eliminateNullRows
         ? options.eliminateNullRows
         : false
+      resultFormat = options.resultFormat ? options.resultFormat : resultFormat
+      valueFormats = {
+        bigint: options.bigint,
+        decimal: options.decimal,
+        temporal: options.temporal,
+        geo: options.geo,
+        typeParsers: options.typeParsers
+      }
+      nullPolicies = options.nullPolicies ? options.nullPolicies : nullPolicies
+      lazyRows = Boolean(options.lazyRows)
       query = options.query ? options.query : null
       queryId = options.queryId ? options.queryId : null
       conId = typeof options.conId === "undefined" ? null : options.conId
@@ -84,17 +115,44 @@ export default function processQueryResults(logging, updateQueryTimes) {
       }
 
       try {
-        if (result.row_set.is_columnar) {
+        if (resultFormat === "columns") {
+          if (!result.row_set.is_columnar) {
+            throw new Error("The columns result format needs columnar results.")
+          }
+          formattedResult = {
+            results: processTypedColumns(
+              result.row_set,
+              eliminateNullRows,
+              _datumEnum,
+              valueFormats,
+              nullPolicies
+            )
+          }
+        } else if (result.row_set.is_columnar) {
           formattedResult = processColumnarResults(
             result.row_set,
             eliminateNullRows,
-            _datumEnum
+            _datumEnum,
+            valueFormats,
+            nullPolicies,
+            lazyRows
           )
         } else {
           formattedResult = processRowResults(
             result.row_set,
             eliminateNullRows,
-            _datumEnum
+            _datumEnum,
+            valueFormats,
+            nullPolicies,
+            lazyRows
+          )
+        }
+
+        if (options.returnSchema) {
+          formattedResult.fields = describeFields(
+            result.row_set.row_desc,
+            _datumEnum,
+            encodingEnum
           )
         }
 
@@ -111,13 +169,11 @@ export default function processQueryResults(logging, updateQueryTimes) {
         return
       }
 
+      const returnsAll = options.returnTiming || options.returnSchema
       if (hasCallback) {
-        callback(
-          null,
-          options.returnTiming ? formattedResult : formattedResult.results
-        )
+        callback(null, returnsAll ? formattedResult : formattedResult.results)
       } else {
-        return options.returnTiming ? formattedResult : formattedResult.results
+        return returnsAll ? formattedResult : formattedResult.results
       }
     }
   }
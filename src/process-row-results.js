@@ -1,14 +1,32 @@
+import { decodeValue, valueList } from "./decode-values"
+import createLazyRows from "./lazy-rows"
+import { resolveNullPolicies } from "./null-policies"
+
 /**
- * Query for row-based results from the server. In general, is inefficient and should be 
- * avoided. Instead, use {@link processColumnarResults} and then convert the results to  
+ * Query for row-based results from the server. In general, is inefficient and should be
+ * avoided. Instead, use {@link processColumnarResults} and then convert the results to
  * row-based format.
  * @param {TRowSet} data - The row-based data returned from a query.
  * @param {Boolean} eliminateNullRows Flag that removes null rows from results.
  * @param {Object} datumEnum A list of types created from when executing {@link #invertDatumTypes}.
+ * @param {Object} [valueFormats] The <code>bigint</code>, <code>decimal</code>, <code>temporal</code>, and
+ *                                <code>geo</code> formats, and the <code>typeParsers</code>, as for {@link #query}.
+ * @param {Object} [nullPolicies] The <code>nullValue</code>, <code>dropNullsIn</code>, and <code>fillNulls</code>
+ *                                options, as for {@link #query}. Without a <code>nullValue</code>, nulls and
+ *                                null array elements are <code>"NULL"</code>.
+ * @param {Boolean} [lazyRows] Whether to return the rows as {@link createLazyRows}, which decode each
+ *                            row when it's read.
  * @returns {Object} The formatted results of the query.
  * @example<caption> Return row-based results directly from the server:
  */
-export default function processRowResults(data, eliminateNullRows, datumEnum) {
+export default function processRowResults(
+  data,
+  eliminateNullRows,
+  datumEnum,
+  valueFormats = {},
+  nullPolicies = {},
+  lazyRows = false
+) {
   const numCols = data.row_desc.length
   const formattedResult = { fields: [], results: [] }
 
@@ -17,6 +35,12 @@ export default function processRowResults(data, eliminateNullRows, datumEnum) {
     type: datumEnum[field.col_type.type],
     is_array: field.col_type.is_array
   }))
+  const types = data.row_desc.map(field => ({
+    type: datumEnum[field.col_type.type],
+    scale: field.col_type.scale,
+    precision: field.col_type.precision,
+    typeInfo: field.col_type
+  }))
 
   formattedResult.results = []
   let numRows = 0
@@ -24,106 +48,67 @@ export default function processRowResults(data, eliminateNullRows, datumEnum) {
     numRows = data.rows.length // so won't throw if data.rows is missing
   }
 
+  const nullValues = resolveNullPolicies(
+    formattedResult.fields.map(field => field.name),
+    eliminateNullRows,
+    nullPolicies,
+    { scalar: "NULL", element: "NULL" }
+  )
+
+  const rowIndexes = []
   for (let r = 0; r < numRows; r++) {
-    if (eliminateNullRows) {
-      let rowHasNull = false
-      for (let c = 0; c < numCols; c++) {
-        if (data.rows[r].columns[c].is_null) {
-          rowHasNull = true
-          break
-        }
-      }
-      if (rowHasNull) {
-        continue // eslint-disable-line no-continue
-      }
+    if (!nullValues.dropColumns.some(c => data.rows[r].cols[c].is_null)) {
+      rowIndexes.push(r)
     }
+  }
 
+  const decodeRow = r => {
     const row = {}
     for (let c = 0; c < numCols; c++) {
       const fieldName = formattedResult.fields[c].name
       const fieldType = formattedResult.fields[c].type
       const fieldIsArray = formattedResult.fields[c].is_array
+      const list = valueList(fieldType)
       if (fieldIsArray) {
         if (data.rows[r].cols[c].is_null) {
-          row[fieldName] = "NULL"
+          row[fieldName] = nullValues.scalarNulls[c]
           continue // eslint-disable-line no-continue
         }
+        if (!list) {
+          throw new Error("Unrecognized array field type: " + fieldType)
+        }
         row[fieldName] = []
         const arrayNumElems = data.rows[r].cols[c].val.arr_val.length
         for (let e = 0; e < arrayNumElems; e++) {
           const elemDatum = data.rows[r].cols[c].val.arr_val[e]
           if (elemDatum.is_null) {
-            row[fieldName].push("NULL")
+            row[fieldName].push(nullValues.elementNull)
             continue // eslint-disable-line no-continue
           }
-          switch (fieldType) {
-            case "BOOL":
-              row[fieldName].push(Boolean(elemDatum.val.int_val))
-              break
-            case "SMALLINT":
-            case "INT":
-            case "BIGINT":
-            case "TINYINT":
-              row[fieldName].push(elemDatum.val.int_val)
-              break
-            case "FLOAT":
-            case "DOUBLE":
-            case "DECIMAL":
-              row[fieldName].push(elemDatum.val.real_val)
-              break
-            case "STR":
-              row[fieldName].push(elemDatum.val.str_val)
-              break
-            case "TIME":
-            case "TIMESTAMP":
-            case "DATE":
-              row[fieldName].push(elemDatum.val.int_val * 1000) // eslint-disable-line no-magic-numbers
-              break
-            default:
-              throw new Error("Unrecognized array field type: " + fieldType)
-          }
+          row[fieldName].push(
+            decodeValue(elemDatum.val[`${list}_val`], types[c], valueFormats)
+          )
         }
       } else {
         const scalarDatum = data.rows[r].cols[c]
         if (scalarDatum.is_null) {
-          row[fieldName] = "NULL"
+          row[fieldName] = nullValues.scalarNulls[c]
           continue // eslint-disable-line no-continue
         }
-        switch (fieldType) {
-          case "BOOL":
-            row[fieldName] = Boolean(scalarDatum.val.int_val)
-            break
-          case "SMALLINT":
-          case "INT":
-          case "BIGINT":
-          case "TINYINT":
-            row[fieldName] = scalarDatum.val.int_val
-            break
-          case "FLOAT":
-          case "DOUBLE":
-          case "DECIMAL":
-            row[fieldName] = scalarDatum.val.real_val
-            break
-          case "STR":
-            row[fieldName] = scalarDatum.val.str_val
-            break
-          case "TIME":
-          case "TIMESTAMP":
-          case "DATE":
-            row[fieldName] = new Date(scalarDatum.val.int_val * 1000) // eslint-disable-line no-magic-numbers
-            break
-          case "POINT":
-          case "LINESTRING":
-          case "POLYGON":
-          case "MULTIPOLYGON":
-            row[fieldName] = scalarDatum.val.str_val
-            break
-          default:
-            throw new Error("Unrecognized field type: " + fieldType)
+        if (!list) {
+          throw new Error("Unrecognized field type: " + fieldType)
         }
+        row[fieldName] = decodeValue(
+          scalarDatum.val[`${list}_val`],
+          types[c],
+          valueFormats
+        )
       }
     }
-    formattedResult.results.push(row)
+    return row
   }
+  formattedResult.results = lazyRows
+    ? createLazyRows(rowIndexes, decodeRow)
+    : rowIndexes.map(decodeRow)
   return formattedResult
 }
@@ -0,0 +1,161 @@
+/* global BigInt64Array: false */
+import { decodeValue, valueList } from "./decode-values"
+import { resolveNullPolicies } from "./null-policies"
+
+const TYPED_ARRAYS = {
+  BOOL: Uint8Array,
+  TINYINT: Int8Array,
+  SMALLINT: Int16Array,
+  INT: Int32Array,
+  FLOAT: Float32Array,
+  DOUBLE: Float64Array,
+  DECIMAL: Float64Array,
+  TIME: Float64Array,
+  TIMESTAMP: Float64Array,
+  DATE: Float64Array
+}
+
+const TEMPORAL_TYPES = ["TIME", "TIMESTAMP", "DATE"]
+
+// BIGINT columns are BigInts where the runtime has them, and dates, times,
+// and timestamps are epoch milliseconds by default
+function columnFormats(valueFormats) {
+  let bigint = typeof BigInt64Array === "undefined" ? "number" : "bigint"
+  bigint = valueFormats.bigint || bigint
+  return {
+    bigint,
+    decimal: valueFormats.decimal,
+    temporal: valueFormats.temporal || "epochMs",
+    geo: valueFormats.geo,
+    typeParsers: valueFormats.typeParsers || {}
+  }
+}
+
+// Whether the column's values are kept in a plain array
+function isPlainColumn(field, formats) {
+  return (
+    field.is_array ||
+    formats.typeParsers.hasOwnProperty(field.type) ||
+    (!TYPED_ARRAYS[field.type] && field.type !== "BIGINT") ||
+    (field.type === "BIGINT" && formats.bigint === "string") ||
+    (field.type === "DECIMAL" && formats.decimal === "string") ||
+    (TEMPORAL_TYPES.indexOf(field.type) !== -1 &&
+      formats.temporal !== "epochMs")
+  )
+}
+
+function createColumn(field, length, formats) {
+  if (!valueList(field.type)) {
+    throw new Error("Unrecognized field type: " + field.type)
+  } else if (isPlainColumn(field, formats)) {
+    return new Array(length)
+  } else if (field.type === "BIGINT") {
+    return formats.bigint === "bigint"
+      ? new BigInt64Array(length)
+      : new Float64Array(length)
+  }
+  return new TYPED_ARRAYS[field.type](length)
+}
+
+function readValue(column, row, field, formats, elementNull) {
+  const list = `${valueList(field.type)}_col`
+  if (!field.is_array) {
+    return decodeValue(column.data[list][row], field, formats)
+  }
+  const array = column.data.arr_col[row]
+  return array.nulls.map(
+    (isNull, index) =>
+      isNull
+        ? elementNull
+        : decodeValue(array.data[list][index], field, formats)
+  )
+}
+
+/**
+ * Process the column-based results from the query into one array per
+ * column, without building an object per row. Numeric columns are typed
+ * arrays: <code>BIGINT</code> is a <code>BigInt64Array</code> where the
+ * runtime has one, unless the <code>bigint</code> format says otherwise,
+ * and dates, times, and timestamps are epoch milliseconds
+ * in a <code>Float64Array</code>, unless the <code>temporal</code> format
+ * says otherwise. Strings, geo types, intervals, and array columns are
+ * plain arrays, as are the columns in the other value formats and the
+ * columns of types with a parser.
+ * A null value is 0, or null in a plain array, unless the null options
+ * say otherwise, and is flagged in the column's <code>nulls</code>.
+ * A <code>nullValue</code> only goes in plain arrays, while a
+ * <code>fillNulls</code> value goes in typed arrays too, so it must suit the
+ * array, such as a BigInt for a <code>BigInt64Array</code>.
+ *
+ * @param {TRowSet} data The column-based data returned from a query.
+ * @param {Boolean} eliminateNullRows A flag that removes null rows from results.
+ * @param {Object} dataEnum A list of types created from when executing {@link #invertDatumTypes}.
+ * @param {Object} [valueFormats] The <code>bigint</code>, <code>decimal</code>, <code>temporal</code>, and
+ *                                <code>geo</code> formats, and the <code>typeParsers</code>, as for {@link #query}.
+ * @param {Object} [nullPolicies] The <code>nullValue</code>, <code>dropNullsIn</code>, and <code>fillNulls</code>
+ *                                options, as for {@link #query}.
+ * @returns {Object} The fields, and the <code>columns</code> and <code>nulls</code> by column name.
+ */
+export default function processTypedColumns(
+  data,
+  eliminateNullRows,
+  dataEnum,
+  valueFormats = {},
+  nullPolicies = {}
+) {
+  const fields = data.row_desc.map(field => ({
+    name: field.col_name,
+    type: dataEnum[field.col_type.type],
+    is_array: field.col_type.is_array
+  }))
+  const types = data.row_desc.map(field => ({
+    scale: field.col_type.scale,
+    precision: field.col_type.precision,
+    typeInfo: field.col_type
+  }))
+  const numRows =
+    typeof data.columns[0] === "undefined" ? 0 : data.columns[0].nulls.length
+
+  const nullValues = resolveNullPolicies(
+    fields.map(field => field.name),
+    eliminateNullRows,
+    nullPolicies,
+    { scalar: null, element: null }
+  )
+  const fillNulls = nullPolicies.fillNulls || {}
+
+  const rows = []
+  for (let r = 0; r < numRows; r++) {
+    if (!nullValues.dropColumns.some(c => data.columns[c].nulls[r])) {
+      rows.push(r)
+    }
+  }
+
+  const formats = columnFormats(valueFormats)
+  const columns = {}
+  const nulls = {}
+  fields.forEach((field, c) => {
+    const columnField = Object.assign({}, types[c], field)
+    const column = createColumn(field, rows.length, formats)
+    const columnNulls = new Uint8Array(rows.length)
+    rows.forEach((r, index) => {
+      if (data.columns[c].nulls[r]) {
+        columnNulls[index] = 1
+        if (Array.isArray(column) || fillNulls.hasOwnProperty(field.name)) {
+          column[index] = nullValues.scalarNulls[c]
+        }
+      } else {
+        column[index] = readValue(
+          data.columns[c],
+          r,
+          columnField,
+          formats,
+          nullValues.elementNull
+        )
+      }
+    })
+    columns[field.name] = column
+    nulls[field.name] = columnNulls
+  })
+  return { fields, columns, nulls }
+}
@@ -0,0 +1,45 @@
+import { createQueryCancelledError } from "./wrap-with-error-handling"
+
+/**
+ * Call back once for a query, however many attempts it takes. When the
+ * signal fires, the query calls back with a <code>QueryCancelledError</code>,
+ * the attempt in flight is interrupted, and later responses are ignored.
+ * @param {Function} callback The query's callback.
+ * @param {AbortSignal} [signal] Cancels the query when it fires.
+ * @returns {Object} <code>settle(error, result)</code>, which calls back unless the query has
+ *                   already settled; <code>isSettled()</code>; <code>isCancelled()</code>, which is
+ *                   true once no more attempts should be sent; and
+ *                   <code>setInterrupt(interrupt)</code>, for the function that interrupts the
+ *                   attempt in flight, or null between attempts.
+ */
+export default function createQueryCancellation(callback, signal) {
+  let isSettled = false
+  let interrupt = null
+  let stopListening = () => null
+  const cancellation = {
+    isSettled: () => isSettled,
+    isCancelled: () => isSettled || Boolean(signal && signal.aborted),
+    setInterrupt: onCancel => {
+      interrupt = onCancel
+    },
+    settle: (error, result) => {
+      if (isSettled) {
+        return
+      }
+      isSettled = true
+      stopListening()
+      callback(error, result)
+    }
+  }
+  if (signal) {
+    const onAbort = () => {
+      if (interrupt) {
+        interrupt()
+      }
+      cancellation.settle(createQueryCancelledError())
+    }
+    signal.addEventListener("abort", onAbort)
+    stopListening = () => signal.removeEventListener("abort", onAbort)
+  }
+  return cancellation
+}
@@ -0,0 +1,130 @@
+const DEFAULT_BATCH_SIZE = 10000
+
+// Page through a query by wrapping it, so that queries with their own LIMIT
+// or ORDER BY still page correctly. The server runs queries in parallel, so
+// only the outer ORDER BY keeps the rows in the same order from one page to
+// the next. The paren goes on its own line so that a -- comment at the end
+// of the query can't swallow it.
+function pageQuery(sql, orderBy, limit, offset) {
+  const query = sql.trim().replace(/;\s*$/, "")
+  return `SELECT * FROM (${query}\n) AS cursor_page ORDER BY ${orderBy} LIMIT ${limit} OFFSET ${offset}`
+}
+
+// A batch is an array of rows, lazy rows, or typed columns with null flags
+// per row
+function countRows(batch) {
+  if (typeof batch.length === "number") {
+    return batch.length
+  }
+  return batch.fields.length ? batch.nulls[batch.fields[0].name].length : 0
+}
+
+/**
+ * Create an async iterator over the rows of a query, one batch at a time.
+ * Each batch is a page of the query fetched with ORDER BY, LIMIT and OFFSET,
+ * so only one batch is held in memory. Without an order that's the same
+ * every time, pages could repeat or skip rows. Each page runs the query
+ * again and skips the rows before it, so the work grows with the square of
+ * the number of pages; a bigger batch means fewer pages. Breaking out of a
+ * <code>for await</code> loop, or calling <code>return()</code>, cancels
+ * the page being fetched.
+ * @param {Function} runQuery Runs a query and returns a promise of its rows, or its typed columns, with a
+ *                            <code>cancel()</code> method.
+ * @param {String} sql The query.
+ * @param {Object} options The paging options.
+ * @param {String} options.orderBy The ORDER BY for the pages, of result columns that tell every row apart.
+ * @param {Number} [options.batchSize=10000] The number of rows per batch.
+ * @returns {Object} The async iterator of row batches.
+ */
+export default function createQueryCursor(
+  runQuery,
+  sql,
+  { orderBy, batchSize = DEFAULT_BATCH_SIZE }
+) {
+  if (typeof orderBy !== "string" || !orderBy.trim()) {
+    throw new Error(
+      "A cursor needs an orderBy that puts the rows in the same order every time."
+    )
+  } else if (!(batchSize > 0) || Math.floor(batchSize) !== batchSize) {
+    throw new Error("Please enter a positive integer batchSize.")
+  }
+  let offset = 0
+  let isDone = false
+  let pending = null
+
+  const cursor = {
+    next: () => {
+      if (isDone) {
+        return Promise.resolve({ done: true, value: null })
+      }
+      pending = runQuery(pageQuery(sql, orderBy, batchSize, offset))
+      return pending.then(
+        batch => {
+          pending = null
+          const numRows = countRows(batch)
+          offset = offset + numRows
+          // a short page is the last one
+          isDone = isDone || numRows < batchSize
+          return numRows
+            ? { done: false, value: batch }
+            : { done: true, value: null }
+        },
+        error => {
+          pending = null
+          isDone = true
+          throw error
+        }
+      )
+    },
+    return: () => {
+      isDone = true
+      if (pending) {
+        pending.cancel()
+        pending.catch(() => null)
+        pending = null
+      }
+      return Promise.resolve({ done: true, value: null })
+    }
+  }
+  if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+    cursor[Symbol.asyncIterator] = () => cursor
+  }
+  return cursor
+}
+
+/**
+ * Create a Node object-mode Readable of the rows of a cursor. Destroying
+ * the stream stops the cursor.
+ * @param {Function} Readable Node's <code>stream.Readable</code>.
+ * @param {Object} cursor The cursor made by {@link createQueryCursor}.
+ * @returns {stream.Readable} The stream of rows.
+ */
+export function createRowStream(Readable, cursor) {
+  let isReading = false
+  return new Readable({
+    objectMode: true,
+    read() {
+      if (isReading) {
+        return
+      }
+      isReading = true
+      cursor.next().then(
+        ({ done, value }) => {
+          isReading = false
+          if (done) {
+            this.push(null)
+          } else {
+            value.forEach(row => this.push(row))
+          }
+        },
+        error => {
+          isReading = false
+          this.destroy(error)
+        }
+      )
+    },
+    destroy(error, callback) {
+      cursor.return().then(() => callback(error))
+    }
+  })
+}
@@ -0,0 +1,82 @@
+// The options of a query, read once so that each attempt of the query, on
+// whichever server, runs with the same ones.
+
+import { needsExactIntegers, validateValueFormats } from "./value-formats"
+import { validateNullPolicies } from "./null-policies"
+import { validateParams } from "./sql-params"
+import { validateTypeParsers } from "./decode-values"
+
+const RESULT_FORMATS = ["rows", "columns"]
+
+/**
+ * Read the options of a query, with their defaults.
+ * @param {Object} [options] The options, as for {@link #query}.
+ * @param {Object} typeParsers The parsers set with {@link #setTypeParser}, which the query's own
+ *                             <code>typeParsers</code> are added to.
+ * @returns {Object} The options, with the <code>nullValue</code>, <code>dropNullsIn</code>, and
+ *                   <code>fillNulls</code> in <code>nullPolicies</code>, and whether the query reads
+ *                   64-bit integers exactly in <code>exactIntegers</code>.
+ */
+export function readQueryOptions(options, typeParsers) {
+  const given = options || {}
+  const pick = (name, fallback) =>
+    given.hasOwnProperty(name) ? given[name] : fallback
+  const resultFormat = given.resultFormat || "rows"
+  const bigint = given.bigint || null
+  const temporal = given.temporal || null
+  const nullPolicies = {
+    dropNullsIn: given.dropNullsIn,
+    fillNulls: given.fillNulls
+  }
+  if (given.hasOwnProperty("nullValue")) {
+    nullPolicies.nullValue = given.nullValue
+  }
+  return {
+    // the typed columns are built straight from the columnar results
+    columnarResults:
+      resultFormat === "columns" || pick("columnarResults", true),
+    eliminateNullRows: pick("eliminateNullRows", false),
+    queryId: pick("queryId", null),
+    returnTiming: pick("returnTiming", false),
+    returnSchema: pick("returnSchema", false),
+    limit: pick("limit", -1),
+    signal: given.signal || null,
+    resultFormat,
+    lazyRows: Boolean(given.lazyRows),
+    bigint,
+    decimal: given.decimal || null,
+    temporal,
+    geo: given.geo || null,
+    typeParsers: given.typeParsers
+      ? Object.assign({}, typeParsers, given.typeParsers)
+      : typeParsers,
+    nullPolicies,
+    params: given.params || null,
+    // BIGINT columns are BigInt64Arrays unless the bigint format says otherwise
+    exactIntegers: needsExactIntegers({
+      bigint: bigint || (resultFormat === "columns" ? "bigint" : "number"),
+      temporal
+    })
+  }
+}
+
+/**
+ * Check the options of a query before it's sent.
+ * @param {String} query The query, with its placeholders.
+ * @param {Object} queryOptions The options, as {@link readQueryOptions} returns them.
+ * @returns {String|null} The problem with the options, or null.
+ */
+export function validateQueryOptions(query, queryOptions) {
+  const { resultFormat, params, bigint, decimal, temporal, geo } = queryOptions
+  if (RESULT_FORMATS.indexOf(resultFormat) === -1) {
+    return `Unknown result format: ${resultFormat}`
+  } else if (queryOptions.lazyRows && resultFormat === "columns") {
+    return "Only the rows result format has lazy rows."
+  }
+  return (
+    (params && validateParams(query, params)) ||
+    validateValueFormats({ bigint, decimal, temporal, geo }) ||
+    validateTypeParsers(queryOptions.typeParsers) ||
+    validateNullPolicies(queryOptions.nullPolicies)
+  )
+}
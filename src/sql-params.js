@@ -0,0 +1,295 @@
+// Bind values into SQL as escaped literals, so that user input never becomes
+// part of the statement itself. The bound SQL is what's sent to the server.
+
+const NAME_START = /[A-Za-z_]/
+const NAME_PART = /[A-Za-z0-9_]/
+
+class SqlIdentifier {
+  constructor(name) {
+    this.name = name
+  }
+}
+
+/**
+ * Mark a value to be bound as a quoted identifier, such as a table or
+ * column name, instead of as a literal.
+ * @param {String} name The identifier.
+ * @returns {Object} The identifier, for use as a parameter value.
+ */
+export function identifier(name) {
+  if (typeof name !== "string" || name === "") {
+    throw new TypeError("An identifier must be a non-empty string.")
+  }
+  return new SqlIdentifier(name)
+}
+
+function pad(number, width) {
+  let padded = String(number)
+  while (padded.length < width) {
+    padded = `0${padded}`
+  }
+  return padded
+}
+
+function formatTimestamp(date) {
+  const MS_WIDTH = 3
+  const day = [
+    date.getUTCFullYear(),
+    pad(date.getUTCMonth() + 1, 2),
+    pad(date.getUTCDate(), 2)
+  ].join("-")
+  const time = [
+    pad(date.getUTCHours(), 2),
+    pad(date.getUTCMinutes(), 2),
+    pad(date.getUTCSeconds(), 2)
+  ].join(":")
+  return `TIMESTAMP '${day} ${time}.${pad(
+    date.getUTCMilliseconds(),
+    MS_WIDTH
+  )}'`
+}
+
+// A negative number is parenthesized, so that binding it after a minus
+// can't make a -- comment
+function formatNumber(value) {
+  return value < 0 ? `(${value.toString()})` : value.toString()
+}
+
+function isBigInt(value) {
+  return Object.prototype.toString.call(value) === "[object BigInt]"
+}
+
+// The problem with binding the value, or null
+function checkValue(value) {
+  if (typeof value === "number" && !isFinite(value)) {
+    return `Can't bind the number ${value}.`
+  } else if (value instanceof Date && isNaN(value.getTime())) {
+    return "Can't bind an invalid Date."
+  } else if (Array.isArray(value)) {
+    return value.length === 0
+      ? "Can't bind an empty array."
+      : value.reduce((problem, item) => problem || checkValue(item), null)
+  } else if (
+    value === null ||
+    value instanceof SqlIdentifier ||
+    value instanceof Date ||
+    typeof value === "string" ||
+    typeof value === "number" ||
+    typeof value === "boolean" ||
+    isBigInt(value)
+  ) {
+    return null
+  }
+  return `Can't bind a value of type ${typeof value}.`
+}
+
+function formatValue(value) {
+  if (value === null) {
+    return "NULL"
+  } else if (value instanceof SqlIdentifier) {
+    return `"${value.name.replace(/"/g, '""')}"`
+  } else if (typeof value === "string") {
+    return `'${value.replace(/'/g, "''")}'`
+  } else if (typeof value === "boolean") {
+    return value ? "TRUE" : "FALSE"
+  } else if (value instanceof Date) {
+    return formatTimestamp(value)
+  } else if (Array.isArray(value)) {
+    return `(${value.map(formatValue).join(", ")})`
+  }
+  // a number or a BigInt
+  return formatNumber(value)
+}
+
+// The index just past the quoted text that starts at `start`, where a
+// doubled quote stands for the quote itself.
+function skipQuoted(sql, start) {
+  const quote = sql[start]
+  let i = start + 1
+  while (i < sql.length) {
+    if (sql[i] === quote && sql[i + 1] === quote) {
+      i = i + 2
+    } else if (sql[i] === quote) {
+      return i + 1
+    } else {
+      i = i + 1
+    }
+  }
+  return i
+}
+
+function skipTo(sql, start, terminator) {
+  const end = sql.indexOf(terminator, start)
+  return end === -1 ? sql.length : end + terminator.length
+}
+
+function readName(sql, start) {
+  let end = start
+  while (end < sql.length && NAME_PART.test(sql[end])) {
+    end = end + 1
+  }
+  return sql.slice(start, end)
+}
+
+// The index just past the literal, quoted identifier, or comment that starts
+// at `start`, or `start` itself if none does.
+function skipLiteral(sql, start) {
+  const char = sql[start]
+  const next = sql[start + 1]
+  if (char === "'" || char === '"') {
+    return skipQuoted(sql, start)
+  } else if (char === "-" && next === "-") {
+    return skipTo(sql, start, "\n")
+  } else if (char === "/" && next === "*") {
+    return skipTo(sql, start, "*/")
+  }
+  return start
+}
+
+// Find the ? and :name placeholders outside of literals, quoted identifiers,
+// and comments. A :: cast is not a placeholder.
+function findPlaceholders(sql) {
+  const placeholders = []
+  let i = 0
+  while (i < sql.length) {
+    const char = sql[i]
+    const next = sql[i + 1]
+    const literalEnd = skipLiteral(sql, i)
+    if (literalEnd !== i) {
+      i = literalEnd
+    } else if (char === ":" && next === ":") {
+      i = i + 2
+    } else if (char === "?") {
+      placeholders.push({ start: i, end: i + 1, name: null })
+      i = i + 1
+    } else if (char === ":" && next && NAME_START.test(next)) {
+      const name = readName(sql, i + 1)
+      placeholders.push({ start: i, end: i + 1 + name.length, name })
+      i = i + 1 + name.length
+    } else {
+      i = i + 1
+    }
+  }
+  return placeholders
+}
+
+// The problem with a placeholder that doesn't fit the params, or null
+function checkPlaceholder(placeholder, params) {
+  const isPositional = Array.isArray(params)
+  if (isPositional && placeholder.name !== null) {
+    return `Found the named placeholder :${
+      placeholder.name
+    }, but the params are an array.`
+  } else if (!isPositional && placeholder.name === null) {
+    return "Found a ? placeholder, but the params are an object; pass an array."
+  } else if (
+    !isPositional &&
+    !Object.prototype.hasOwnProperty.call(params, placeholder.name)
+  ) {
+    return `Missing a value for :${placeholder.name}.`
+  }
+  return null
+}
+
+// The problem with binding the params to the placeholders, or null
+function checkParams(placeholders, params) {
+  const isPositional = Array.isArray(params)
+  const placeholderProblem = placeholders.reduce(
+    (problem, placeholder) => problem || checkPlaceholder(placeholder, params),
+    null
+  )
+  if (placeholderProblem) {
+    return placeholderProblem
+  } else if (isPositional && placeholders.length !== params.length) {
+    return `The SQL has ${placeholders.length} placeholders, but ${
+      params.length
+    } values were given.`
+  }
+  const values = isPositional
+    ? params
+    : placeholders.map(placeholder => params[placeholder.name])
+  return values.reduce((problem, value) => problem || checkValue(value), null)
+}
+
+/**
+ * Check that params can be bound into SQL, as {@link bindParams} does.
+ * @param {String} sql The SQL with placeholders.
+ * @param {Array|Object} params The parameter values.
+ * @returns {String|null} The problem with the params, or null.
+ */
+export function validateParams(sql, params) {
+  return checkParams(findPlaceholders(sql), params)
+}
+
+/**
+ * Replace the placeholders in SQL with the parameter values, escaped and
+ * formatted as SQL literals. Pass an array for positional <code>?</code>
+ * placeholders, or an object for named <code>:name</code> placeholders.
+ * Strings are quoted, numbers and BigInts written out, negative ones in
+ * parentheses, booleans become <code>TRUE</code> or <code>FALSE</code>,
+ * Dates UTC timestamps, null <code>NULL</code>, and arrays parenthesized
+ * lists, as for <code>IN</code>.
+ * Values made with {@link identifier} are quoted as identifiers.
+ * @param {String} sql The SQL with placeholders.
+ * @param {Array|Object} params The parameter values.
+ * @returns {String} The SQL with the values bound.
+ */
+export function bindParams(sql, params) {
+  const placeholders = findPlaceholders(sql)
+  const problem = checkParams(placeholders, params)
+  if (problem) {
+    throw new Error(problem)
+  }
+
+  const isPositional = Array.isArray(params)
+  let bound = ""
+  let position = 0
+  placeholders.forEach((placeholder, index) => {
+    const value = isPositional ? params[index] : params[placeholder.name]
+    bound = bound + sql.slice(position, placeholder.start) + formatValue(value)
+    position = placeholder.end
+  })
+  return bound + sql.slice(position)
+}
+
+// Stands for each interpolated value while the template is checked
+const INTERPOLATION = "\u0000"
+
+// Whether every value is interpolated outside of literals, quoted
+// identifiers, and comments, where its escaping could be undone
+function isEachValueOutsideLiterals(strings) {
+  const sql = strings.join(INTERPOLATION)
+  let count = 0
+  let i = 0
+  while (i < sql.length) {
+    const literalEnd = skipLiteral(sql, i)
+    if (literalEnd === i) {
+      count = sql[i] === INTERPOLATION ? count + 1 : count
+      i = i + 1
+    } else {
+      i = literalEnd
+    }
+  }
+  return count === strings.length - 1
+}
+
+/**
+ * Build SQL from a tagged template, binding each interpolated value as
+ * {@link bindParams} does. Only the values are bound, so a <code>?</code>
+ * or <code>:name</code> in the template is left as it is. Values can't be
+ * interpolated inside quotes or comments.
+ * @param {Array<String>} strings The literal parts of the template.
+ * @param {Array} values The interpolated values.
+ * @returns {String} The SQL with the values bound.
+ */
+export function formatSql(strings, values) {
+  const problem = isEachValueOutsideLiterals(strings)
+    ? values.reduce((found, value) => found || checkValue(value), null)
+    : "Can't interpolate a value inside quotes or a comment."
+  if (problem) {
+    throw new Error(problem)
+  }
+  return strings.reduce(
+    (sql, string, index) => sql + formatValue(values[index - 1]) + string
+  )
+}
@@ -0,0 +1,217 @@
+/* global BigInt: false */
+
+// How query results represent the values that a JS number can't hold exactly,
+// and dates and times. Integers arrive from the protocols as numbers, as decimal strings where a
+// number would lose precision, or in Node as node-int64 objects.
+
+import { GEO_FORMATS } from "./geo-values"
+
+export const BIGINT_FORMATS = ["number", "bigint", "string"]
+export const DECIMAL_FORMATS = ["number", "string"]
+export const TEMPORAL_FORMATS = ["date", "epochMs", "iso"]
+
+const INT64_BITS = 64
+const MS_DIGITS = 3
+const NS_DIGITS = 9
+const DECIMAL_BASE = 10
+const NS_PER_MS = 1000000
+
+function hasBigInt() {
+  return typeof BigInt === "function"
+}
+
+function isNodeInt64(value) {
+  return typeof value === "object" && typeof value.toOctetString === "function"
+}
+
+/**
+ * Whether values in these formats need 64-bit integers read exactly, past
+ * 2^53: BIGINTs as BigInts or strings, and nanosecond timestamps as ISO
+ * strings or through a function.
+ * @param {Object} formats The formats.
+ * @param {String} [formats.bigint] The format of BIGINT values.
+ * @param {String|Function} [formats.temporal] The format of TIMESTAMP, DATE, and TIME values.
+ * @returns {Boolean} Whether the integers must be exact.
+ */
+export function needsExactIntegers({ bigint, temporal }) {
+  return (
+    bigint === "bigint" ||
+    bigint === "string" ||
+    temporal === "iso" ||
+    typeof temporal === "function"
+  )
+}
+
+/**
+ * Check the value format query options.
+ * @param {Object} formats The formats.
+ * @param {String} [formats.bigint] The format of BIGINT values.
+ * @param {String} [formats.decimal] The format of DECIMAL values.
+ * @param {String|Function} [formats.temporal] The format of TIMESTAMP, DATE, and TIME values.
+ * @param {String} [formats.geo] The format of geo values.
+ * @returns {String|null} The problem with the options, or null.
+ */
+export function validateValueFormats({ bigint, decimal, temporal, geo }) {
+  if (bigint && BIGINT_FORMATS.indexOf(bigint) === -1) {
+    return `Unknown bigint format: ${bigint}`
+  } else if (bigint === "bigint" && !hasBigInt()) {
+    return "This runtime has no BigInt; use the string bigint format."
+  } else if (decimal && DECIMAL_FORMATS.indexOf(decimal) === -1) {
+    return `Unknown decimal format: ${decimal}`
+  } else if (
+    temporal &&
+    typeof temporal !== "function" &&
+    TEMPORAL_FORMATS.indexOf(temporal) === -1
+  ) {
+    return `Unknown temporal format: ${temporal}`
+  } else if (geo && GEO_FORMATS.indexOf(geo) === -1) {
+    return `Unknown geo format: ${geo}`
+  }
+  return null
+}
+
+/**
+ * Read an integer that fits in a JS number, such as an INT or a date.
+ * @param {Number|Object} value The integer from the protocol.
+ * @returns {Number} The integer.
+ */
+export function toNumber(value) {
+  return isNodeInt64(value) ? value.toNumber(true) : Number(value)
+}
+
+function toBigInt(value) {
+  if (isNodeInt64(value)) {
+    return BigInt.asIntN(INT64_BITS, BigInt(`0x${value.toOctetString()}`))
+  }
+  return BigInt(value)
+}
+
+/**
+ * Format a 64-bit integer: as a number, which loses precision beyond
+ * 2^53, or exactly as a BigInt or a decimal string.
+ * @param {Number|String|Object} value The integer from the protocol.
+ * @param {String} [format="number"] "number", "bigint", or "string".
+ * @returns {Number|BigInt|String} The formatted integer.
+ */
+export function formatBigInt(value, format = "number") {
+  if (format === "bigint") {
+    return toBigInt(value)
+  } else if (format === "string") {
+    if (isNodeInt64(value)) {
+      return toBigInt(value).toString()
+    }
+    return String(value)
+  }
+  return toNumber(value)
+}
+
+/**
+ * Format a DECIMAL, which the server sends as a double, as a number or as
+ * a string with the column's scale. The string is exact for precisions of
+ * up to 15 digits, which a double holds exactly.
+ * @param {Number} value The decimal from the protocol.
+ * @param {Number} scale The column's number of digits after the point.
+ * @param {String} [format="number"] "number" or "string".
+ * @returns {Number|String} The formatted decimal.
+ */
+export function formatDecimal(value, scale, format = "number") {
+  if (format !== "string") {
+    return value
+  }
+  return typeof scale === "number" && scale >= 0
+    ? value.toFixed(scale)
+    : String(value)
+}
+
+function pad(number, width) {
+  let padded = String(number)
+  while (padded.length < width) {
+    padded = `0${padded}`
+  }
+  return padded
+}
+
+// Split a temporal value into whole milliseconds since the epoch, or since
+// midnight for a TIME, and the nanoseconds past that millisecond. A
+// TIMESTAMP counts units of 10^-precision seconds; the others count seconds.
+function splitTemporal(value, field) {
+  const digits = field.type === "TIMESTAMP" ? field.precision || 0 : 0
+  if (digits <= MS_DIGITS) {
+    return {
+      ms: toNumber(value) * Math.pow(DECIMAL_BASE, MS_DIGITS - digits),
+      ns: 0
+    }
+  }
+  const unitsPerMs = Math.pow(DECIMAL_BASE, digits - MS_DIGITS)
+  const nsPerUnit = Math.pow(DECIMAL_BASE, NS_DIGITS - digits)
+  if (!hasBigInt()) {
+    const units = toNumber(value)
+    const ms = Math.floor(units / unitsPerMs)
+    return { ms, ns: (units - ms * unitsPerMs) * nsPerUnit }
+  }
+  const units = toBigInt(value)
+  const perMs = BigInt(unitsPerMs)
+  let ms = units / perMs
+  let remainder = units % perMs
+  // round down before the epoch, as Dates do
+  if (remainder < 0) {
+    ms = ms - BigInt(1)
+    remainder = remainder + perMs
+  }
+  return { ms: Number(ms), ns: Number(remainder) * nsPerUnit }
+}
+
+function formatIso(ms, ns, field) {
+  const iso = new Date(ms).toISOString()
+  const timeStart = iso.indexOf("T")
+  const fractionStart = iso.indexOf(".")
+  if (field.type === "DATE") {
+    return iso.slice(0, timeStart)
+  } else if (field.type === "TIME") {
+    return iso.slice(timeStart + 1, fractionStart)
+  }
+  const digits = field.precision || 0
+  const fraction = `${iso.slice(
+    fractionStart + 1,
+    fractionStart + 1 + MS_DIGITS
+  )}${pad(ns, NS_DIGITS - MS_DIGITS)}`.slice(0, digits)
+  return `${iso.slice(0, fractionStart)}${digits ? `.${fraction}` : ""}Z`
+}
+
+function toEpochNanoseconds(ms, ns) {
+  return hasBigInt()
+    ? BigInt(ms) * BigInt(NS_PER_MS) + BigInt(ns)
+    : ms * NS_PER_MS + ns
+}
+
+/**
+ * Format a TIMESTAMP, DATE, or TIME, using the precision of a TIMESTAMP
+ * column for its milli-, micro-, or nanoseconds. A TIME is a time of day,
+ * so it's never a Date.
+ *
+ * - <code>"date"</code>: a Date, to the millisecond, or an
+ *   <code>"HH:MM:SS"</code> string for a TIME.
+ * - <code>"epochMs"</code>: milliseconds since the epoch, or since
+ *   midnight for a TIME, with any finer precision as a fraction.
+ * - <code>"iso"</code>: an ISO 8601 UTC string with the column's digits of
+ *   precision, a <code>"YYYY-MM-DD"</code> string for a DATE, or an
+ *   <code>"HH:MM:SS"</code> string for a TIME.
+ * - A function: called with the nanoseconds since the epoch, or since
+ *   midnight for a TIME, as a BigInt where the runtime has one, and the
+ *   field's <code>{type, precision}</code>.
+ * @param {Number|String|Object} value The integer from the protocol.
+ * @param {Object} field The column's <code>type</code> and <code>precision</code>.
+ * @param {String|Function} [format="date"] The format.
+ * @returns {*} The formatted value.
+ */
+export function formatTemporal(value, field, format = "date") {
+  const { ms, ns } = splitTemporal(value, field)
+  if (typeof format === "function") {
+    return format(toEpochNanoseconds(ms, ns), field)
+  } else if (format === "epochMs") {
+    return ms + ns / NS_PER_MS
+  } else if (format === "iso" || field.type === "TIME") {
+    return formatIso(ms, ns, field)
+  }
+  return new Date(ms)
+}
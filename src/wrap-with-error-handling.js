@@ -1,18 +1,70 @@
 const MapDClient =
-  (typeof window !== "undefined" && window.MapDClient) ||
+  (typeof self !== "undefined" && self.MapDClient) ||
   require("../build/thrift/node/mapd.thrift.js").Client // eslint-disable-line global-require
 const TMapDException =
-  (typeof window !== "undefined" && window.TMapDException) ||
+  (typeof self !== "undefined" && self.TMapDException) ||
   require("../build/thrift/node/mapd_types.js").TMapDException // eslint-disable-line global-require
 const Thrift =
-  (typeof window !== "undefined" && window.Thrift) || require("thrift").Thrift // eslint-disable-line global-require
+  (typeof self !== "undefined" && self.Thrift) || require("thrift").Thrift // eslint-disable-line global-require
+
+// The server reports expired, timed out, and unknown sessions as "Session not valid."
+const SESSION_EXPIRED_PATTERN = /session\b.*\b(not valid|invalid|expired)/i
 
 export function isResultError(result) {
   return result instanceof Thrift.TException || result instanceof Error
 }
 
+export function isSessionExpiredError(result) {
+  const message = result && (result.error_msg || result.message)
+  return typeof message === "string" && SESSION_EXPIRED_PATTERN.test(message)
+}
+
+// Requests that never reached the server, or whose response never arrived.
+export function createNetworkError(message) {
+  const error = new Error(message)
+  error.name = "NetworkError"
+  return error
+}
+
+export function isNetworkError(error) {
+  return Boolean(error) && error.name === "NetworkError"
+}
+
+// Requests the server didn't answer in time; see MapdCon#timeout.
+export function createTimeoutError(timeoutMs) {
+  const error = new Error(`The server didn't respond within ${timeoutMs} ms.`)
+  error.name = "TimeoutError"
+  return error
+}
+
+// Queries given up on by the caller; see MapdCon#queryAsync.
+export function createQueryCancelledError() {
+  const error = new Error("The query was cancelled.")
+  error.name = "QueryCancelledError"
+  return error
+}
+
+/* eslint-disable consistent-this */
+// Asks the client's owner (see MapdCon#autoReconnect) for a fresh session and
+// replays the call with it in place of the stale session argument.
+function replayWithNewSession(context, args, replay, fail) {
+  if (typeof context.reestablishSession !== "function") {
+    fail()
+    return
+  }
+  context.reestablishSession(args[0], (error, sessionId) => {
+    if (error) {
+      fail()
+    } else {
+      replay([sessionId].concat(args.slice(1)))
+    }
+  })
+}
+
 export function createResultError(result) {
-  if (result instanceof TMapDException) {
+  if (isNetworkError(result) || result.name === "AbortError") {
+    return result
+  } else if (result instanceof TMapDException) {
     return new Error(result.error_msg)
   } else if (typeof result.message === "undefined") {
     return new Error("Unspecified Error")
@@ -21,19 +73,28 @@ export function createResultError(result) {
   }
 }
 
-/* eslint-disable consistent-this */
 export function wrapMethod(context, method, isError) {
   return function wrapped(...args) {
     const arity = MapDClient.prototype[method].length
     if (args.length === arity) {
       const callback = args.pop()
-      MapDClient.prototype[method].call(context, ...args, result => {
-        if (isError(result)) {
-          callback(createResultError(result))
-        } else {
-          callback(null, result)
-        }
-      })
+      const send = (sendArgs, canReplay) => {
+        MapDClient.prototype[method].call(context, ...sendArgs, result => {
+          if (!isError(result)) {
+            callback(null, result)
+          } else if (canReplay && isSessionExpiredError(result)) {
+            replayWithNewSession(
+              context,
+              sendArgs,
+              replayArgs => send(replayArgs, false),
+              () => callback(createResultError(result))
+            )
+          } else {
+            callback(createResultError(result))
+          }
+        })
+      }
+      send(args, true)
     } else if (args.length === arity - 1) {
       const result = MapDClient.prototype[method].call(context, ...args)
       if (isError(result)) {
@@ -49,4 +110,30 @@ export function wrapMethod(context, method, isError) {
 export function wrapWithErrorHandling(context, method) {
   return wrapMethod(context, method, isResultError)
 }
+
+// Node Thrift clients call back with (error, result) and never pass through
+// wrapWithErrorHandling, so their methods get session recovery on their own.
+export function wrapWithSessionRecovery(context, method) {
+  const unwrapped = context[method]
+  return function wrapped(...args) {
+    if (typeof args[args.length - 1] !== "function") {
+      return unwrapped.apply(context, args)
+    }
+    const callback = args.pop()
+    const send = (sendArgs, canReplay) =>
+      unwrapped.call(context, ...sendArgs, (error, result) => {
+        if (error && canReplay && isSessionExpiredError(error)) {
+          replayWithNewSession(
+            context,
+            sendArgs,
+            replayArgs => send(replayArgs, false),
+            () => callback(error)
+          )
+        } else {
+          callback(error, result)
+        }
+      })
+    return send(args, true)
+  }
+}
 /* eslint-enable consistent-this */
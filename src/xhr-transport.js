@@ -0,0 +1,120 @@
+import { createNetworkError } from "./wrap-with-error-handling"
+
+const XHR_DONE = 4
+const HTTP_OK = 200
+const HTTP_SERVER_ERROR = 500
+const BYTE_MASK = 0xff
+export const CONTENT_TYPES = {
+  json: "application/vnd.apache.thrift.json; charset=utf-8",
+  binary: "application/vnd.apache.thrift.binary",
+  compact: "application/vnd.apache.thrift.compact"
+}
+
+// Works for XHRs and fetch responses alike; a status of 0 means no response.
+// Only a missing response or a server error is a NetworkError, which fails
+// over to another server; a 4xx (a proxy's 407, a 413 for a big import, ...)
+// would fail there too.
+export function createResponseError(response, url) {
+  if (!response.status) {
+    return createNetworkError(`Unable to reach the server at ${url}.`)
+  }
+  const message = `The server responded with HTTP status ${response.status}.`
+  return response.status >= HTTP_SERVER_ERROR
+    ? createNetworkError(message)
+    : new Error(message)
+}
+
+// Synchronous requests can't ask for an ArrayBuffer, so binary responses are
+// read as text with one character per byte instead.
+function responseBytes(xhr) {
+  if (xhr.response instanceof ArrayBuffer) {
+    return new Uint8Array(xhr.response)
+  }
+  const text = xhr.responseText
+  const bytes = new Uint8Array(text.length)
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & BYTE_MASK
+  }
+  return bytes
+}
+
+/**
+ * Create a browser Thrift transport that adds headers to each request and
+ * whose asynchronous requests always call back. The stock transport ignores
+ * a request that fails or gets a non-200 response, so its callback never
+ * runs; this one hands the client an error instead, which the client passes
+ * to its callback: a <code>NetworkError</code> for a failed request or a
+ * 5xx response.
+ * @param {Function} Transport The browser <code>Thrift.Transport</code> constructor.
+ * @param {String} url The URL of the server's Thrift endpoint.
+ * @param {Object} [options] The transport options.
+ * @param {Function} [options.getHeaders] Returns the extra headers for a request; called once per request.
+ * @param {String} [options.encoding="json"] The Thrift protocol encoding: <code>json</code>,
+ *                 <code>binary</code>, or <code>compact</code>. The binary encodings send and receive bytes.
+ * @returns {Object} The transport.
+ */
+export default function createXhrTransport(
+  Transport,
+  url,
+  { getHeaders = () => ({}), encoding = "json" } = {}
+) {
+  const isBinary = encoding !== "json"
+  const readResponse = xhr => (isBinary ? responseBytes(xhr) : xhr.responseText)
+  const transport = new Transport(url)
+  const readAll = transport.readAll
+  let recvError = null
+
+  transport.flush = (async, callback) => {
+    if (async && !callback) {
+      return transport.send_buf
+    }
+    const xhr = transport.getXmlHttpRequestObject()
+    if (callback) {
+      xhr.onreadystatechange = () => {
+        if (xhr.readyState !== XHR_DONE) {
+          return
+        } else if (xhr.status === HTTP_OK) {
+          transport.setRecvBuffer(readResponse(xhr))
+        } else {
+          recvError = createResponseError(xhr, transport.url)
+        }
+        callback()
+      }
+    }
+    xhr.open("POST", transport.url, Boolean(async))
+    if (isBinary && async) {
+      xhr.responseType = "arraybuffer"
+    } else if (isBinary) {
+      xhr.overrideMimeType("text/plain; charset=x-user-defined")
+    }
+    // the Thrift headers come last so that they can't be overridden
+    const headers = Object.assign({}, getHeaders(), {
+      Accept: CONTENT_TYPES[encoding],
+      "Content-Type": CONTENT_TYPES[encoding]
+    })
+    Object.keys(headers).forEach(name =>
+      xhr.setRequestHeader(name, headers[name])
+    )
+    xhr.send(transport.send_buf)
+    if (async && callback) {
+      return null
+    } else if (xhr.status !== HTTP_OK) {
+      throw createResponseError(xhr, transport.url)
+    }
+    transport.setRecvBuffer(readResponse(xhr))
+    return null
+  }
+
+  // The client reads the response synchronously inside the flush callback,
+  // so a failed request surfaces as an error thrown from its read.
+  transport.readAll = () => {
+    if (recvError) {
+      const error = recvError
+      recvError = null
+      throw error
+    }
+    return readAll.call(transport)
+  }
+
+  return transport
+}
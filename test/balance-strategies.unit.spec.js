@@ -0,0 +1,57 @@
+import { expect } from "chai"
+import pickConnection from "../src/balance-strategies"
+
+function balancingState(overrides) {
+  return Object.assign(
+    {
+      weights: [1, 1, 1],
+      outstandingRequests: [0, 0, 0],
+      queueTimes: [0, 0, 0],
+      pingTimes: [0, 0, 0],
+      roundRobinWeights: [0, 0, 0],
+      estimatedQueryTime: 50
+    },
+    overrides
+  )
+}
+
+describe("pickConnection", () => {
+  it("should always pick the only server", () => {
+    const state = balancingState({ weights: [1], outstandingRequests: [9] })
+    expect(pickConnection("least-outstanding", state)).to.equal(0)
+  })
+
+  it("should take turns in proportion to the weights", () => {
+    const state = balancingState({ weights: [2, 1, 1] })
+    const picks = [0, 1, 2, 3, 4, 5, 6, 7].map(() =>
+      pickConnection("round-robin", state)
+    )
+    expect(picks).to.deep.equal([0, 1, 2, 0, 0, 1, 2, 0])
+  })
+
+  it("should pick the server with the fewest requests per weight", () => {
+    const state = balancingState({
+      weights: [1, 2, 1],
+      outstandingRequests: [1, 3, 2]
+    })
+    expect(pickConnection("least-outstanding", state)).to.equal(0)
+  })
+
+  it("should skip unhealthy servers unless every server is unhealthy", () => {
+    const state = balancingState({
+      outstandingRequests: [0, 5, 9],
+      unhealthy: [true, false, false]
+    })
+    expect(pickConnection("least-outstanding", state)).to.equal(1)
+    state.unhealthy = [true, true, true]
+    expect(pickConnection("least-outstanding", state)).to.equal(0)
+  })
+
+  it("should pick the server expected to finish first", () => {
+    const state = balancingState({
+      queueTimes: [100, 20, 0],
+      pingTimes: [5, 10, 200]
+    })
+    expect(pickConnection("adaptive", state)).to.equal(1)
+  })
+})
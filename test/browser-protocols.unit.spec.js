@@ -0,0 +1,272 @@
+import { expect } from "chai"
+import {
+  BinaryProtocol,
+  CompactProtocol,
+  expectExactIntegers,
+  withExactIntegers
+} from "../src/browser-protocols"
+
+const TYPE = { BOOL: 2, I32: 8, I64: 10, STRING: 11, STRUCT: 12, LIST: 15 }
+
+function createTransport() {
+  const transport = {
+    buffer: null,
+    write: bytes => {
+      transport.buffer = bytes
+    },
+    readAll: () => transport.buffer
+  }
+  return transport
+}
+
+function writeMessage(protocol) {
+  protocol.writeMessageBegin("sql_execute", 1, 300)
+  protocol.writeStructBegin("args")
+  protocol.writeFieldBegin("session", TYPE.STRING, 1)
+  protocol.writeString("héllo €")
+  protocol.writeFieldEnd()
+  protocol.writeFieldBegin("column_format", TYPE.BOOL, 3)
+  protocol.writeBool(true)
+  protocol.writeFieldEnd()
+  protocol.writeFieldBegin("first_n", TYPE.I32, 20)
+  protocol.writeI32(-123456)
+  protocol.writeFieldEnd()
+  protocol.writeFieldBegin("nonce", TYPE.STRUCT, 21)
+  protocol.writeStructBegin("nonce")
+  protocol.writeFieldBegin("value", TYPE.I64, 1)
+  protocol.writeI64(-9007199254740991)
+  protocol.writeFieldEnd()
+  protocol.writeFieldStop()
+  protocol.writeStructEnd()
+  protocol.writeFieldEnd()
+  protocol.writeFieldBegin("nulls", TYPE.LIST, 22)
+  protocol.writeListBegin(TYPE.BOOL, 3)
+  protocol.writeBool(false)
+  protocol.writeBool(true)
+  protocol.writeBool(false)
+  protocol.writeListEnd()
+  protocol.writeFieldEnd()
+  protocol.writeFieldStop()
+  protocol.writeStructEnd()
+  protocol.writeMessageEnd()
+}
+
+function readMessage(protocol) {
+  const message = protocol.readMessageBegin()
+  const fields = {}
+  protocol.readStructBegin()
+  let field = protocol.readFieldBegin()
+  while (field.ftype) {
+    if (field.ftype === TYPE.STRING) {
+      fields[field.fid] = protocol.readString().value
+    } else if (field.ftype === TYPE.BOOL) {
+      fields[field.fid] = protocol.readBool().value
+    } else if (field.ftype === TYPE.I32) {
+      fields[field.fid] = protocol.readI32().value
+    } else if (field.ftype === TYPE.LIST) {
+      const { size } = protocol.readListBegin()
+      fields[field.fid] = []
+      for (let i = 0; i < size; i++) {
+        fields[field.fid].push(protocol.readBool().value)
+      }
+    } else {
+      protocol.skip(field.ftype)
+    }
+    protocol.readFieldEnd()
+    field = protocol.readFieldBegin()
+  }
+  protocol.readStructEnd()
+  protocol.readMessageEnd()
+  return { message, fields }
+}
+
+describe("browser protocols", () => {
+  ;[BinaryProtocol, CompactProtocol].forEach(Protocol => {
+    it(`should read back what the ${Protocol.name} writes`, () => {
+      const transport = createTransport()
+      const protocol = new Protocol(transport)
+      writeMessage(protocol)
+      expect(readMessage(protocol)).to.deep.equal({
+        message: { fname: "sql_execute", mtype: 1, rseqid: 300 },
+        fields: {
+          1: "héllo €",
+          3: true,
+          20: -123456,
+          22: [false, true, false]
+        }
+      })
+    })
+  })
+
+  it("should write 64-bit integers as big-endian words in the binary protocol", () => {
+    const transport = createTransport()
+    const protocol = new BinaryProtocol(transport)
+    protocol.startWriting()
+    protocol.writeI64(-2)
+    protocol.writeI64(4294967296)
+    protocol.writeMessageEnd()
+    expect(Array.from(transport.buffer)).to.deep.equal([
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xfe,
+      0,
+      0,
+      0,
+      1,
+      0,
+      0,
+      0,
+      0
+    ])
+    protocol.startReading()
+    expect([protocol.readI64().value, protocol.readI64().value]).to.deep.equal([
+      -2,
+      4294967296
+    ])
+  })
+
+  it("should read 64-bit integers beyond 2^53 as exact decimal strings", () => {
+    const transport = createTransport()
+    transport.buffer = new Uint8Array([
+      0x7f,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0x00,
+      0x20,
+      0x00,
+      0x00,
+      0x00,
+      0x00,
+      0x00,
+      0x01
+    ])
+    const binary = new BinaryProtocol(transport)
+    binary.startReading()
+    expect([binary.readI64().value, binary.readI64().value]).to.deep.equal([
+      "9223372036854775807",
+      "9007199254740993"
+    ])
+
+    // the zigzag varint of -2^63
+    transport.buffer = new Uint8Array([
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0xff,
+      0x01
+    ])
+    const compact = new CompactProtocol(transport)
+    compact.startReading()
+    expect(compact.readI64().value).to.equal("-9223372036854775808")
+  })
+
+  it("should fold booleans into the field headers of the compact protocol", () => {
+    const transport = createTransport()
+    const protocol = new CompactProtocol(transport)
+    protocol.startWriting()
+    protocol.writeStructBegin("args")
+    protocol.writeFieldBegin("column_format", TYPE.BOOL, 3)
+    protocol.writeBool(false)
+    protocol.writeFieldBegin("first_n", TYPE.I32, 40)
+    protocol.writeI32(-1)
+    protocol.writeFieldStop()
+    protocol.writeStructEnd()
+    protocol.writeMessageEnd()
+    expect(Array.from(transport.buffer)).to.deep.equal([
+      0x32,
+      0x05,
+      0x50,
+      0x01,
+      0x00
+    ])
+  })
+
+  it("should fail to read a message in another encoding", () => {
+    const transport = createTransport()
+    writeMessage(new BinaryProtocol(transport))
+    expect(() => new CompactProtocol(transport).readMessageBegin()).to.throw(
+      "Unexpected Thrift compact protocol ID."
+    )
+  })
+})
+
+describe("withExactIntegers", () => {
+  const json =
+    '[1,"sql_execute",2,0,{"0":{"rec":{"1":{"i64":9007199254740993},' +
+    '"2":{"dbl":12345678901234567000},"3":{"str":"12345678901234567890"}}}}]'
+
+  // Send a request, and read the fields of the struct in its response
+  function request(protocol) {
+    let values = null
+    protocol.transport.flush(true, () => {
+      protocol.readMessageBegin()
+      protocol.readStructBegin()
+      protocol.readFieldBegin()
+      protocol.readStructBegin()
+      protocol.readFieldBegin()
+      const id = protocol.readI64().value
+      protocol.readFieldEnd()
+      protocol.readFieldBegin()
+      const amount = protocol.readDouble().value
+      protocol.readFieldEnd()
+      protocol.readFieldBegin()
+      const label = protocol.readString().value
+      values = [id, amount, label]
+    })
+    return values
+  }
+
+  function createProtocol() {
+    const transport = {
+      received: json,
+      readAll: () => transport.received,
+      setRecvBuffer: received => {
+        transport.received = received
+      },
+      flush: (async, callback) => {
+        transport.received = json
+        callback()
+      }
+    }
+    return new (withExactIntegers(Thrift.Protocol))(transport)
+  }
+
+  it("should read the JSON protocol's big integers as decimal strings", () => {
+    const protocol = createProtocol()
+    expectExactIntegers({ output: protocol })
+    expect(request(protocol)).to.deep.equal([
+      "9007199254740993",
+      12345678901234567000,
+      "12345678901234567890"
+    ])
+  })
+
+  it("should only read the response to an expecting request exactly", () => {
+    const protocol = createProtocol()
+    expect(request(protocol)[0]).to.equal(9007199254740992)
+    expectExactIntegers({ output: protocol })
+    expect(request(protocol)[0]).to.equal("9007199254740993")
+    expect(request(protocol)[0]).to.equal(9007199254740992)
+  })
+
+  it("should ignore clients with other protocols", () => {
+    const client = { output: new BinaryProtocol(createTransport()) }
+    expectExactIntegers(client)
+    expect(client.output).not.to.have.property("sendsExactly")
+  })
+})
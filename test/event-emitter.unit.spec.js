@@ -0,0 +1,45 @@
+import { expect } from "chai"
+import EventEmitter from "../src/event-emitter"
+
+describe("EventEmitter", () => {
+  it("should call listeners in order with the event's arguments", () => {
+    const calls = []
+    const emitter = new EventEmitter()
+      .on("ping", (a, b) => calls.push(["first", a, b]))
+      .on("ping", a => calls.push(["second", a]))
+    expect(emitter.emit("ping", 1, 2)).to.equal(true)
+    expect(calls).to.deep.equal([["first", 1, 2], ["second", 1]])
+  })
+
+  it("should remove a single listener or every listener for an event", () => {
+    const calls = []
+    const first = () => calls.push("first")
+    const second = () => calls.push("second")
+    const emitter = new EventEmitter().on("ping", first).on("ping", second)
+    emitter.off("ping", first).emit("ping")
+    emitter.off("ping")
+    expect(emitter.emit("ping")).to.equal(false)
+    expect(calls).to.deep.equal(["second"])
+  })
+
+  it("should hand a listener's error to onListenerError and call the other listeners", done => {
+    const calls = []
+    const emitter = new EventEmitter((error, event) => {
+      expect([error.message, event]).to.deep.equal(["listener failed", "ping"])
+      expect(calls).to.deep.equal(["second"])
+      done()
+    })
+      .on("ping", () => {
+        throw new Error("listener failed")
+      })
+      .on("ping", () => calls.push("second"))
+    expect(() => emitter.emit("ping")).not.to.throw()
+    expect(calls).to.deep.equal(["second"])
+  })
+
+  it("should reject a listener that isn't a function", () => {
+    expect(() => new EventEmitter().on("ping", "pong")).to.throw(
+      "The listener for ping must be a function."
+    )
+  })
+})
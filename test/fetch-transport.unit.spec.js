@@ -0,0 +1,215 @@
+import { expect } from "chai"
+import createFetchTransport, {
+  sendWithFetch,
+  validateFetchTransport
+} from "../src/fetch-transport"
+
+function FakeTransport(url) {
+  this.url = url
+  this.send_buf = ""
+  this.recv_buf = ""
+}
+
+FakeTransport.prototype.setRecvBuffer = function(buf) {
+  this.recv_buf = buf
+}
+
+FakeTransport.prototype.readAll = function() {
+  return this.recv_buf
+}
+
+// A response whose body arrives in the given chunks
+function createResponse(status, chunks) {
+  const remaining = chunks.slice()
+  return {
+    status,
+    body: {
+      getReader: () => ({
+        read: () =>
+          Promise.resolve(
+            remaining.length
+              ? { done: false, value: remaining.shift() }
+              : { done: true }
+          )
+      }),
+      cancel: () => Promise.resolve()
+    }
+  }
+}
+
+// Catch the next callback scheduled with setTimeout, which must run outside
+// of the promise chain so that what it throws isn't swallowed
+function catchScheduledCallback(onCallback) {
+  const setTimeout = global.setTimeout
+  global.setTimeout = callback => {
+    global.setTimeout = setTimeout
+    onCallback(callback)
+  }
+}
+
+describe("createFetchTransport", () => {
+  it("should post the request and read the streamed response", done => {
+    const requests = []
+    const signal = {}
+    const transport = createFetchTransport(FakeTransport, "http://host1:9092", {
+      getHeaders: () => ({ Authorization: "Bearer token" }),
+      fetch: (url, init) => {
+        requests.push({ url, init })
+        // "é" is split across the chunks
+        return Promise.resolve(
+          createResponse(200, [
+            new Uint8Array([0x22, 0xc3]),
+            new Uint8Array([0xa9, 0x22])
+          ])
+        )
+      },
+      signal,
+      keepalive: true
+    })
+    transport.send_buf = "request"
+    transport.flush(true, () => {
+      expect(transport.readAll()).to.equal('"é"')
+      expect(requests).to.deep.equal([
+        {
+          url: "http://host1:9092",
+          init: {
+            method: "POST",
+            headers: {
+              Authorization: "Bearer token",
+              Accept: "application/vnd.apache.thrift.json; charset=utf-8",
+              "Content-Type":
+                "application/vnd.apache.thrift.json; charset=utf-8"
+            },
+            body: "request",
+            signal,
+            keepalive: true
+          }
+        }
+      ])
+      done()
+    })
+  })
+
+  it("should read the response bytes for the binary encodings", done => {
+    const transport = createFetchTransport(FakeTransport, "http://host1:9092", {
+      encoding: "binary",
+      fetch: () =>
+        Promise.resolve(
+          createResponse(200, [new Uint8Array([0x80]), new Uint8Array([1])])
+        )
+    })
+    transport.flush(true, () => {
+      expect(Array.from(transport.readAll())).to.deep.equal([0x80, 0x01])
+      done()
+    })
+  })
+
+  it("should throw a NetworkError from the read when the request fails", done => {
+    const transport = createFetchTransport(FakeTransport, "http://host1:9092", {
+      fetch: () => Promise.reject(new TypeError("Failed to fetch"))
+    })
+    transport.flush(true, () => {
+      expect(() => transport.readAll()).to.throw(
+        "Unable to reach the server at http://host1:9092."
+      )
+      expect(transport.readAll()).to.equal("")
+      done()
+    })
+  })
+
+  it("should report the status of a non-200 response", done => {
+    const transport = createFetchTransport(FakeTransport, "http://host1:9092", {
+      fetch: () => Promise.resolve(createResponse(502, []))
+    })
+    transport.flush(true, () => {
+      expect(() => transport.readAll()).to.throw(
+        "The server responded with HTTP status 502."
+      )
+      done()
+    })
+  })
+
+  it("should pass on an aborted request's AbortError", done => {
+    const abortError = new Error("The operation was aborted.")
+    abortError.name = "AbortError"
+    const transport = createFetchTransport(FakeTransport, "http://host1:9092", {
+      fetch: () => Promise.reject(abortError)
+    })
+    transport.flush(true, () => {
+      expect(() => transport.readAll()).to.throw(abortError)
+      done()
+    })
+  })
+
+  it("should call back outside of the promise chain", done => {
+    const transport = createFetchTransport(FakeTransport, "http://host1:9092", {
+      fetch: () => Promise.resolve(createResponse(200, []))
+    })
+    catchScheduledCallback(callback => {
+      expect(callback).to.throw("Thrown by the callback")
+      done()
+    })
+    transport.flush(true, () => {
+      throw new Error("Thrown by the callback")
+    })
+  })
+
+  it("should refuse to send a synchronous request", () => {
+    const transport = createFetchTransport(FakeTransport, "http://host1:9092")
+    expect(() => transport.flush()).to.throw(
+      "The fetch transport only sends asynchronous requests."
+    )
+  })
+})
+
+describe("sendWithFetch", () => {
+  it("should hand the streamed response to the connection", done => {
+    const chunks = []
+    const connection = {
+      nodeOptions: { headers: { Connection: "close", "X-Trace": "1" } },
+      responseCallback: response => {
+        expect(response.statusCode).to.equal(200)
+        response.on("data", chunk => chunks.push(Array.from(chunk)))
+        response.on("end", () => {
+          expect(chunks).to.deep.equal([[1, 2], [3]])
+          done()
+        })
+      }
+    }
+    sendWithFetch(connection, "http://host1:9092", {
+      fetch: (url, init) => {
+        expect(init.headers).to.deep.equal({ "X-Trace": "1" })
+        return Promise.resolve(
+          createResponse(200, [new Uint8Array([1, 2]), new Uint8Array([3])])
+        )
+      }
+    })
+    connection.write(new Uint8Array([0]))
+  })
+
+  it("should hand the connection its response outside of the promise chain", done => {
+    const connection = {
+      nodeOptions: { headers: {} },
+      responseCallback: () => {
+        throw new Error("Thrown by the connection")
+      }
+    }
+    sendWithFetch(connection, "http://host1:9092", {
+      fetch: () => Promise.resolve(createResponse(200, []))
+    })
+    catchScheduledCallback(callback => {
+      expect(callback).to.throw("Thrown by the connection")
+      done()
+    })
+    connection.write(new Uint8Array([0]))
+  })
+})
+
+describe("validateFetchTransport", () => {
+  it("should reject the Node connection options", () => {
+    expect(validateFetchTransport({ keepalive: true, ca: "ca" })).to.equal(
+      "The fetch transport doesn't support the ca transport option."
+    )
+    expect(validateFetchTransport({ fetch: () => null })).to.equal(null)
+  })
+})
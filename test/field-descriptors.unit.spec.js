@@ -0,0 +1,68 @@
+import { expect } from "chai"
+import { describeField, describeFields } from "../src/field-descriptors"
+
+const datumEnum = { 6: "STR", 7: "TIME", 8: "TIMESTAMP" }
+const encodingEnum = { 0: "NONE", 1: "FIXED", 4: "DICT" }
+
+describe("field descriptors", () => {
+  it("should describe a dictionary encoded column", () => {
+    expect(
+      describeField(
+        "carrier",
+        {
+          type: 6,
+          encoding: 4,
+          nullable: true,
+          is_array: false,
+          precision: 0,
+          scale: 0,
+          comp_param: 3
+        },
+        datumEnum,
+        encodingEnum
+      )
+    ).to.deep.equal({
+      name: "carrier",
+      type: "STR",
+      is_array: false,
+      is_dict: true,
+      nullable: true,
+      precision: 0,
+      scale: 0,
+      encoding: "DICT",
+      comp_param: 3,
+      dictionary_id: 3
+    })
+  })
+
+  it("should leave out the dictionary id of other columns", () => {
+    const [field] = describeFields(
+      [
+        {
+          col_name: "dep",
+          col_type: {
+            type: 8,
+            encoding: 1,
+            nullable: false,
+            is_array: false,
+            precision: 6,
+            scale: 0,
+            comp_param: 32
+          }
+        }
+      ],
+      datumEnum,
+      encodingEnum
+    )
+    expect(field).to.include({
+      name: "dep",
+      type: "TIMESTAMP",
+      is_dict: false,
+      nullable: false,
+      precision: 6,
+      encoding: "FIXED",
+      comp_param: 32,
+      dictionary_id: null
+    })
+  })
+})
@@ -0,0 +1,128 @@
+import { expect } from "chai"
+import { formatGeo, parseWkt, toCoordinateBuffers } from "../src/geo-values"
+
+describe("geo values", () => {
+  describe("parseWkt", () => {
+    it("should parse each geometry type", () => {
+      expect(parseWkt("POINT (1 2)")).to.deep.equal({
+        type: "Point",
+        coordinates: [1, 2]
+      })
+      expect(parseWkt("MULTIPOINT ((1 2), 3 4)")).to.deep.equal({
+        type: "MultiPoint",
+        coordinates: [[1, 2], [3, 4]]
+      })
+      expect(parseWkt("LINESTRING (1 2, -3.5 4e2)")).to.deep.equal({
+        type: "LineString",
+        coordinates: [[1, 2], [-3.5, 400]]
+      })
+      expect(
+        parseWkt("POLYGON ((0 0, 4 0, 4 4, 0 0), (1 1, 2 1, 2 2, 1 1))")
+      ).to.deep.equal({
+        type: "Polygon",
+        coordinates: [
+          [[0, 0], [4, 0], [4, 4], [0, 0]],
+          [[1, 1], [2, 1], [2, 2], [1, 1]]
+        ]
+      })
+      expect(
+        parseWkt(
+          "MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))"
+        )
+      ).to.deep.equal({
+        type: "MultiPolygon",
+        coordinates: [
+          [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+          [[[5, 5], [6, 5], [6, 6], [5, 5]]]
+        ]
+      })
+      expect(
+        parseWkt("GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))")
+      ).to.deep.equal({
+        type: "GeometryCollection",
+        geometries: [
+          { type: "Point", coordinates: [1, 2] },
+          { type: "LineString", coordinates: [[0, 0], [1, 1]] }
+        ]
+      })
+    })
+
+    it("should parse EMPTY, an SRID, and Z coordinates", () => {
+      expect(parseWkt("POLYGON EMPTY")).to.deep.equal({
+        type: "Polygon",
+        coordinates: []
+      })
+      expect(parseWkt("SRID=4326;point z (1 2 3)")).to.deep.equal({
+        type: "Point",
+        coordinates: [1, 2, 3]
+      })
+    })
+
+    it("should say where it can't parse the WKT", () => {
+      expect(() => parseWkt("CIRCLE (1 2)")).to.throw(
+        "Can't parse the WKT at position 6; expected a geometry type."
+      )
+      expect(() => parseWkt("POINT (1 2")).to.throw(
+        "Can't parse the WKT at position 10; expected ) or ,."
+      )
+      expect(() => parseWkt("POINT (1 2) x")).to.throw(
+        "Can't parse the WKT at position 11; expected the end."
+      )
+    })
+  })
+
+  describe("toCoordinateBuffers", () => {
+    it("should flatten a multipolygon with ring and polygon offsets", () => {
+      const buffers = toCoordinateBuffers(
+        parseWkt(
+          "MULTIPOLYGON (((0 0, 4 0, 4 4, 0 0), (1 1, 2 1, 2 2, 1 1)), ((5 5, 6 5, 6 6, 5 5)))"
+        )
+      )
+      expect(buffers.type).to.equal("MultiPolygon")
+      expect(buffers.size).to.equal(2)
+      expect(buffers.coordinates).to.have.length(24)
+      expect(buffers.ringOffsets).to.deep.equal(new Uint32Array([0, 4, 8]))
+      expect(buffers.polygonOffsets).to.deep.equal(new Uint32Array([0, 2]))
+    })
+
+    it("should flatten a point and a line", () => {
+      expect(toCoordinateBuffers(parseWkt("POINT (1 2)"))).to.deep.equal({
+        type: "Point",
+        size: 2,
+        coordinates: new Float64Array([1, 2]),
+        ringOffsets: new Uint32Array([0]),
+        polygonOffsets: new Uint32Array([0])
+      })
+      expect(
+        toCoordinateBuffers(parseWkt("LINESTRING (0 0, 1 1, 2 0)")).ringOffsets
+      ).to.deep.equal(new Uint32Array([0]))
+    })
+
+    it("should flatten each geometry of a collection", () => {
+      const buffers = toCoordinateBuffers(
+        parseWkt("GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))")
+      )
+      expect(buffers.type).to.equal("GeometryCollection")
+      expect(buffers.geometries.map(geometry => geometry.type)).to.deep.equal([
+        "Point",
+        "LineString"
+      ])
+      expect(buffers.geometries[1].coordinates).to.deep.equal(
+        new Float64Array([0, 0, 1, 1])
+      )
+    })
+  })
+
+  describe("formatGeo", () => {
+    it("should return WKT by default", () => {
+      expect(formatGeo("POINT (1 2)")).to.equal("POINT (1 2)")
+      expect(formatGeo("POINT (1 2)", "geojson")).to.deep.equal({
+        type: "Point",
+        coordinates: [1, 2]
+      })
+      expect(formatGeo("POINT (1 2)", "coords").coordinates).to.deep.equal(
+        new Float64Array([1, 2])
+      )
+    })
+  })
+})
@@ -0,0 +1,64 @@
+import { expect } from "chai"
+import httpConnectionOptions, {
+  validateTransportOptions
+} from "../src/http-connection-options"
+
+describe("httpConnectionOptions", () => {
+  const server = { protocol: "https", host: "host1", port: "9092" }
+
+  it("should close the connection after each request by default", () => {
+    expect(httpConnectionOptions(server, {})).to.deep.equal({
+      path: "/",
+      headers: { Connection: "close" },
+      https: true,
+      nodeOptions: {}
+    })
+  })
+
+  it("should pass the TLS options and agent through to Node", () => {
+    const agent = { keepAlive: true }
+    const options = httpConnectionOptions(server, {
+      ca: "ca-bundle",
+      cert: "client-cert",
+      key: "client-key",
+      rejectUnauthorized: false,
+      servername: "mapd.internal",
+      agent
+    })
+    expect(options.headers).to.deep.equal({ Connection: "keep-alive" })
+    expect(options.nodeOptions).to.deep.equal({
+      ca: "ca-bundle",
+      cert: "client-cert",
+      key: "client-key",
+      rejectUnauthorized: false,
+      servername: "mapd.internal",
+      agent
+    })
+  })
+
+  it("should send requests for http servers through a forward proxy", () => {
+    const options = httpConnectionOptions(
+      { protocol: "http", host: "host1", port: "9092" },
+      { proxy: { host: "proxy", port: 3128, auth: "foo:bar" } }
+    )
+    expect(options.path).to.equal("http://host1:9092/")
+    expect(options.nodeOptions).to.deep.equal({ host: "proxy", port: 3128 })
+    expect(options.headers).to.deep.equal({
+      Connection: "close",
+      Host: "host1:9092",
+      "Proxy-Authorization": "Basic Zm9vOmJhcg=="
+    })
+  })
+})
+
+describe("validateTransportOptions", () => {
+  it("should reject unknown options and incomplete proxies", () => {
+    expect(validateTransportOptions({ ca: "ca-bundle" })).to.equal(null)
+    expect(validateTransportOptions({ timeout: 5 })).to.equal(
+      "Unknown transport option: timeout"
+    )
+    expect(validateTransportOptions({ proxy: { host: "proxy" } })).to.equal(
+      "Please enter a host and port for the proxy."
+    )
+  })
+})
@@ -112,7 +112,18 @@ describe(isNodeRuntime ? "node" : "browser", () => {
       expect(connectError).to.not.be.an("error")
       session.getFields("flights_donotmodify", (getFieldsError, data) => {
         expect(getFieldsError).to.not.be.an("error")
-        expect(data).to.deep.equal([
+        data.forEach(field => {
+          expect(field.encoding).to.be.a("string")
+          expect(field.dictionary_id !== null).to.equal(field.is_dict)
+        })
+        expect(
+          data.map(field => ({
+            is_array: field.is_array,
+            is_dict: field.is_dict,
+            name: field.name,
+            type: field.type
+          }))
+        ).to.deep.equal([
           {
             is_array: false,
             is_dict: false,
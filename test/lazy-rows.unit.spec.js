@@ -0,0 +1,35 @@
+import { expect } from "chai"
+import createLazyRows from "../src/lazy-rows"
+
+describe("createLazyRows", () => {
+  const decoded = []
+  const decodeRow = r => {
+    decoded.push(r)
+    return { r }
+  }
+
+  beforeEach(() => {
+    decoded.length = 0
+  })
+
+  it("should only decode the rows that are read", () => {
+    const rows = createLazyRows([0, 2, 5], decodeRow)
+    expect(rows.length).to.equal(3)
+    expect(decoded).to.deep.equal([])
+    expect(rows.get(1)).to.deep.equal({ r: 2 })
+    expect(decoded).to.deep.equal([2])
+  })
+
+  it("should return null outside the rows", () => {
+    const rows = createLazyRows([0, 2, 5], decodeRow)
+    expect(rows.get(-1)).to.equal(null)
+    expect(rows.get(3)).to.equal(null)
+    expect(decoded).to.deep.equal([])
+  })
+
+  it("should decode every row with toArray and iteration", () => {
+    const rows = createLazyRows([0, 2, 5], decodeRow)
+    expect(rows.toArray()).to.deep.equal([{ r: 0 }, { r: 2 }, { r: 5 }])
+    expect(Array.from(rows)).to.deep.equal([{ r: 0 }, { r: 2 }, { r: 5 }])
+  })
+})
@@ -0,0 +1,72 @@
+import { expect } from "chai"
+import { EventEmitter } from "events"
+import {
+  failPendingRequests,
+  failRequestsOnConnectionError,
+  failRequestsOnHttpError
+} from "../src/node-connection"
+
+describe("failPendingRequests", () => {
+  it("should call back and forget every request in flight", () => {
+    const errors = []
+    const client = {
+      _reqs: { 1: error => errors.push(error.message), 2: null }
+    }
+    failPendingRequests(client, new Error("gone"))
+    expect(errors).to.deep.equal(["gone"])
+    expect(client._reqs).to.deep.equal({})
+  })
+})
+
+describe("failRequestsOnConnectionError", () => {
+  it("should skip a dropped callback when the connection fails", () => {
+    const errors = []
+    const connection = new EventEmitter()
+    const client = {
+      _reqs: { 1: null, 2: error => errors.push(error.name) }
+    }
+    failRequestsOnConnectionError(connection, client)
+    const error = new Error("connect ECONNREFUSED")
+    error.code = "ECONNREFUSED"
+    expect(() => connection.emit("error", error)).not.to.throw()
+    expect(errors).to.deep.equal(["NetworkError"])
+    expect(client._reqs).to.deep.equal({})
+  })
+})
+
+describe("failRequestsOnHttpError", () => {
+  function createConnection() {
+    const connection = {
+      responses: [],
+      responseCallback: response => connection.responses.push(response),
+      // like Node's http module, each request keeps the callback in place
+      write: () => connection.sent.push(connection.responseCallback),
+      sent: []
+    }
+    return connection
+  }
+
+  function respond(onResponse, statusCode) {
+    onResponse({ statusCode, resume: () => null })
+  }
+
+  it("should fail only the request that got a non-200 response", () => {
+    const errors = []
+    const client = { _seqid: 0, _reqs: {} }
+    const connection = createConnection()
+    failRequestsOnHttpError(connection, client)
+    const seqids = [1, 2, 3]
+    seqids.forEach(seqid => {
+      // the client numbers each request before writing it
+      client._seqid = seqid
+      client._reqs[seqid] = error => errors.push([seqid, error.name])
+      connection.write("request")
+    })
+    respond(connection.sent[1], 502)
+    respond(connection.sent[0], 413)
+    respond(connection.sent[2], 200)
+    expect(errors).to.deep.equal([[2, "NetworkError"], [1, "Error"]])
+    expect(Object.keys(client._reqs)).to.deep.equal(["3"])
+    expect(connection.responses.length).to.equal(1)
+  })
+})
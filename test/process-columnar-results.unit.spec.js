@@ -59,4 +59,81 @@ describe("processColumnarResults", () => {
       ]
     })
   })
+
+  it("should format BIGINT and DECIMAL values as asked", () => {
+    const data = {
+      row_desc: [
+        {
+          col_name: "id",
+          col_type: { type: 2, encoding: 0, nullable: true, is_array: false }
+        },
+        {
+          col_name: "amount",
+          col_type: {
+            type: 4,
+            encoding: 0,
+            nullable: true,
+            is_array: false,
+            precision: 10,
+            scale: 2
+          }
+        }
+      ],
+      rows: [],
+      columns: [
+        {
+          data: { int_col: ["9007199254740993"] },
+          nulls: [false]
+        },
+        {
+          data: { real_col: [0.1 + 0.2] },
+          nulls: [false]
+        }
+      ],
+      is_columnar: true
+    }
+
+    expect(
+      processColumnarResults(data, false, dataEnum, {
+        bigint: "string",
+        decimal: "string"
+      }).results
+    ).to.deep.equal([{ id: "9007199254740993", amount: "0.30" }])
+    expect(processColumnarResults(data, false, dataEnum).results).to.deep.equal(
+      [{ id: 9007199254740992, amount: 0.30000000000000004 }]
+    )
+  })
+
+  it("should format temporal scalars and arrays alike", () => {
+    const data = {
+      row_desc: [
+        {
+          col_name: "at",
+          col_type: { type: 8, is_array: false, precision: 3 }
+        },
+        {
+          col_name: "days",
+          col_type: { type: 9, is_array: true, precision: 0 }
+        }
+      ],
+      columns: [
+        { data: { int_col: [1514862245123] }, nulls: [false] },
+        {
+          data: {
+            arr_col: [{ data: { int_col: [0, 86400] }, nulls: [false, false] }]
+          },
+          nulls: [false]
+        }
+      ],
+      is_columnar: true
+    }
+    expect(
+      processColumnarResults(data, false, dataEnum, { temporal: "iso" }).results
+    ).to.deep.equal([
+      { at: "2018-01-02T03:04:05.123Z", days: ["1970-01-01", "1970-01-02"] }
+    ])
+    expect(processColumnarResults(data, false, dataEnum).results).to.deep.equal(
+      [{ at: new Date(1514862245123), days: [new Date(0), new Date(86400000)] }]
+    )
+  })
 })
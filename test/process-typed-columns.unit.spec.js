@@ -0,0 +1,105 @@
+import { expect } from "chai"
+import processTypedColumns from "../src/process-typed-columns"
+
+const dataEnum = {
+  "0": "SMALLINT",
+  "1": "INT",
+  "2": "BIGINT",
+  "3": "FLOAT",
+  "4": "DECIMAL",
+  "5": "DOUBLE",
+  "6": "STR",
+  "7": "TIME",
+  "8": "TIMESTAMP",
+  "9": "DATE",
+  "10": "BOOL"
+}
+
+function field(name, type, isArray = false) {
+  return {
+    col_name: name,
+    col_type: { type, encoding: 0, nullable: true, is_array: isArray }
+  }
+}
+
+function column(data, nulls) {
+  return {
+    data: Object.assign(
+      { int_col: [], real_col: [], str_col: [], arr_col: [] },
+      data
+    ),
+    nulls
+  }
+}
+
+describe("processTypedColumns", () => {
+  const data = {
+    row_desc: [
+      field("n", 1),
+      field("x", 5),
+      field("big", 2),
+      field("name", 6),
+      field("day", 9),
+      field("tags", 6, true)
+    ],
+    rows: [],
+    columns: [
+      column({ int_col: [7, 0, 9] }, [false, true, false]),
+      column({ real_col: [1.5, 2.5, 3.5] }, [false, false, false]),
+      column({ int_col: [2, 3, 4] }, [false, false, false]),
+      column({ str_col: ["a", "", "c"] }, [false, true, false]),
+      column({ int_col: [86400, 0, 0] }, [false, false, true]),
+      column(
+        {
+          arr_col: [
+            column({ str_col: ["t", ""] }, [false, true]),
+            column({}, []),
+            column({}, [])
+          ]
+        },
+        [false, false, true]
+      )
+    ],
+    is_columnar: true
+  }
+
+  it("should return a typed array and null flags per column", () => {
+    const result = processTypedColumns(data, false, dataEnum)
+    expect(result.fields.map(f => f.type)).to.deep.equal([
+      "INT",
+      "DOUBLE",
+      "BIGINT",
+      "STR",
+      "DATE",
+      "STR"
+    ])
+    expect(result.columns.n).to.be.an.instanceof(Int32Array)
+    expect(Array.from(result.columns.n)).to.deep.equal([7, 0, 9])
+    expect(Array.from(result.nulls.n)).to.deep.equal([0, 1, 0])
+    expect(result.columns.x).to.be.an.instanceof(Float64Array)
+    expect(result.columns.big).to.be.an.instanceof(BigInt64Array) // eslint-disable-line no-undef
+    expect(result.columns.big[2] === BigInt(4)).to.equal(true) // eslint-disable-line no-undef
+    expect(result.columns.name).to.deep.equal(["a", null, "c"])
+    expect(Array.from(result.columns.day)).to.deep.equal([86400000, 0, 0])
+    expect(result.columns.tags).to.deep.equal([["t", null], [], null])
+  })
+
+  it("should drop the rows with a null when eliminating null rows", () => {
+    const result = processTypedColumns(data, true, dataEnum)
+    expect(Array.from(result.columns.x)).to.deep.equal([1.5])
+    const oneRow = processTypedColumns(
+      {
+        row_desc: [field("n", 0), field("ok", 10)],
+        columns: [
+          column({ int_col: [1, 2] }, [true, false]),
+          column({ int_col: [1, 0] }, [false, false])
+        ]
+      },
+      true,
+      dataEnum
+    )
+    expect(oneRow.columns.n).to.be.an.instanceof(Int16Array)
+    expect(Array.from(oneRow.columns.n)).to.deep.equal([2])
+    expect(Array.from(oneRow.columns.ok)).to.deep.equal([0])
+  })
+})
@@ -0,0 +1,72 @@
+import { expect } from "chai"
+import createQueryCancellation from "../src/query-cancellation"
+
+// Enough of an AbortSignal to fire by hand
+function createSignal() {
+  const listeners = []
+  return {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) =>
+      listeners.splice(listeners.indexOf(listener), 1),
+    abort() {
+      this.aborted = true
+      listeners.slice().forEach(listener => listener())
+    },
+    listeners
+  }
+}
+
+describe("createQueryCancellation", () => {
+  it("should call back once", () => {
+    const calls = []
+    const cancellation = createQueryCancellation((error, result) =>
+      calls.push([error, result])
+    )
+    cancellation.settle(null, "first")
+    cancellation.settle(null, "second")
+    expect(calls).to.deep.equal([[null, "first"]])
+    expect(cancellation.isSettled()).to.equal(true)
+    expect(cancellation.isCancelled()).to.equal(true)
+  })
+
+  it("should cancel and interrupt the attempt in flight when the signal fires", () => {
+    const calls = []
+    const signal = createSignal()
+    const cancellation = createQueryCancellation(
+      error => calls.push(error.name),
+      signal
+    )
+    cancellation.setInterrupt(() => calls.push("interrupt"))
+    signal.abort()
+    cancellation.settle(null, "late")
+    expect(calls).to.deep.equal(["interrupt", "QueryCancelledError"])
+  })
+
+  it("should not interrupt between attempts", () => {
+    const calls = []
+    const signal = createSignal()
+    const cancellation = createQueryCancellation(
+      error => calls.push(error.name),
+      signal
+    )
+    cancellation.setInterrupt(() => calls.push("interrupt"))
+    cancellation.setInterrupt(null)
+    signal.abort()
+    expect(calls).to.deep.equal(["QueryCancelledError"])
+  })
+
+  it("should stop listening to the signal once settled", () => {
+    const signal = createSignal()
+    createQueryCancellation(() => null, signal).settle(null, [])
+    expect(signal.listeners).to.have.length(0)
+  })
+
+  it("should be cancelled by a signal that has already fired", () => {
+    const signal = createSignal()
+    signal.aborted = true
+    const cancellation = createQueryCancellation(() => null, signal)
+    expect(cancellation.isCancelled()).to.equal(true)
+    expect(cancellation.isSettled()).to.equal(false)
+  })
+})
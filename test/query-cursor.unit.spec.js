@@ -0,0 +1,180 @@
+import { expect } from "chai"
+import { Readable } from "stream"
+import createQueryCursor, { createRowStream } from "../src/query-cursor"
+
+// Serves pages of `total` numbered rows, recording the queries and cancels.
+// Like the server, which runs queries in parallel, it only returns the rows
+// in the same order every time for a page ordered by n.
+function createRunQuery(total) {
+  const calls = { queries: [], cancelled: 0 }
+  const runQuery = query => {
+    calls.queries.push(query)
+    const [limit, offset] = query
+      .match(/LIMIT (\d+) OFFSET (\d+)$/)
+      .slice(1)
+      .map(Number)
+    const all = []
+    for (let n = 0; n < total; n++) {
+      all.push({ n })
+    }
+    const isOrdered = / AS cursor_page ORDER BY n LIMIT /.test(query)
+    const shift = isOrdered ? 0 : calls.queries.length % total
+    const rows = all
+      .slice(shift)
+      .concat(all.slice(0, shift))
+      .slice(offset, offset + limit)
+    const promise = Promise.resolve(rows)
+    promise.cancel = () => {
+      calls.cancelled = calls.cancelled + 1
+    }
+    return promise
+  }
+  return { calls, runQuery }
+}
+
+describe("createQueryCursor", () => {
+  it("should page through the query until a short page", () => {
+    const { calls, runQuery } = createRunQuery(5)
+    const cursor = createQueryCursor(runQuery, "SELECT n FROM t ORDER BY n;", {
+      orderBy: "n",
+      batchSize: 2
+    })
+    const batches = []
+    const readAll = () =>
+      cursor.next().then(({ done, value }) => {
+        if (done) {
+          return batches
+        }
+        batches.push(value.map(row => row.n))
+        return readAll()
+      })
+    return readAll().then(() => {
+      expect(batches).to.deep.equal([[0, 1], [2, 3], [4]])
+      expect(calls.queries).to.deep.equal([
+        "SELECT * FROM (SELECT n FROM t ORDER BY n\n) AS cursor_page ORDER BY n LIMIT 2 OFFSET 0",
+        "SELECT * FROM (SELECT n FROM t ORDER BY n\n) AS cursor_page ORDER BY n LIMIT 2 OFFSET 2",
+        "SELECT * FROM (SELECT n FROM t ORDER BY n\n) AS cursor_page ORDER BY n LIMIT 2 OFFSET 4"
+      ])
+    })
+  })
+
+  it("should order every page so that each row is read once", () => {
+    const { runQuery } = createRunQuery(5)
+    const cursor = createQueryCursor(runQuery, "SELECT n FROM t", {
+      orderBy: "n",
+      batchSize: 2
+    })
+    const rows = []
+    const readAll = () =>
+      cursor.next().then(({ done, value }) => {
+        if (done) {
+          return rows
+        }
+        value.forEach(row => rows.push(row.n))
+        return readAll()
+      })
+    return readAll().then(() => expect(rows).to.deep.equal([0, 1, 2, 3, 4]))
+  })
+
+  it("should require an orderBy", () => {
+    expect(() => createQueryCursor(() => null, "SELECT 1", {})).to.throw(
+      "A cursor needs an orderBy that puts the rows in the same order every time."
+    )
+    expect(() =>
+      createQueryCursor(() => null, "SELECT 1", { orderBy: " " })
+    ).to.throw("A cursor needs an orderBy")
+  })
+
+  it("should keep a trailing comment from swallowing the page", () => {
+    const { calls, runQuery } = createRunQuery(1)
+    const cursor = createQueryCursor(runQuery, "SELECT n FROM t -- every n", {
+      orderBy: "n",
+      batchSize: 2
+    })
+    return cursor.next().then(() => {
+      expect(calls.queries).to.deep.equal([
+        "SELECT * FROM (SELECT n FROM t -- every n\n) AS cursor_page ORDER BY n LIMIT 2 OFFSET 0"
+      ])
+    })
+  })
+
+  it("should stop after an empty page", () => {
+    const { calls, runQuery } = createRunQuery(2)
+    const cursor = createQueryCursor(runQuery, "SELECT n FROM t", {
+      orderBy: "n",
+      batchSize: 2
+    })
+    return cursor
+      .next()
+      .then(() => cursor.next())
+      .then(result => {
+        expect(result).to.deep.equal({ done: true, value: null })
+        expect(calls.queries).to.have.length(2)
+      })
+  })
+
+  it("should cancel the pending page when the consumer stops", () => {
+    const { calls, runQuery } = createRunQuery(10)
+    const cursor = createQueryCursor(runQuery, "SELECT n FROM t", {
+      orderBy: "n",
+      batchSize: 2
+    })
+    cursor.next()
+    return cursor
+      .return()
+      .then(() => cursor.next())
+      .then(result => {
+        expect(result.done).to.equal(true)
+        expect(calls.cancelled).to.equal(1)
+        expect(calls.queries).to.have.length(1)
+      })
+  })
+
+  it("should be an async iterable", () => {
+    const cursor = createQueryCursor(createRunQuery(1).runQuery, "SELECT 1", {
+      orderBy: "n"
+    })
+    expect(cursor[Symbol.asyncIterator]()).to.equal(cursor)
+  })
+
+  it("should reject a batch size that isn't a positive integer", () => {
+    expect(() =>
+      createQueryCursor(() => null, "SELECT 1", { orderBy: "n", batchSize: 0 })
+    ).to.throw("Please enter a positive integer batchSize.")
+  })
+})
+
+describe("createRowStream", () => {
+  it("should stream the rows of each batch", done => {
+    const { runQuery } = createRunQuery(3)
+    const rows = []
+    createRowStream(
+      Readable,
+      createQueryCursor(runQuery, "SELECT n FROM t", {
+        orderBy: "n",
+        batchSize: 2
+      })
+    )
+      .on("data", row => rows.push(row.n))
+      .on("end", () => {
+        expect(rows).to.deep.equal([0, 1, 2])
+        done()
+      })
+  })
+
+  it("should stop the cursor when destroyed", done => {
+    const { calls, runQuery } = createRunQuery(10)
+    const stream = createRowStream(
+      Readable,
+      createQueryCursor(runQuery, "SELECT n FROM t", {
+        orderBy: "n",
+        batchSize: 2
+      })
+    )
+    stream.once("data", () => stream.destroy())
+    stream.on("close", () => {
+      expect(calls.queries).to.have.length(1)
+      done()
+    })
+  })
+})
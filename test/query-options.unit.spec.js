@@ -0,0 +1,69 @@
+import { expect } from "chai"
+import { readQueryOptions, validateQueryOptions } from "../src/query-options"
+
+describe("readQueryOptions", () => {
+  it("should default every option", () => {
+    const queryOptions = readQueryOptions(null, {})
+    expect(queryOptions).to.include({
+      columnarResults: true,
+      eliminateNullRows: false,
+      queryId: null,
+      limit: -1,
+      resultFormat: "rows",
+      lazyRows: false,
+      exactIntegers: false
+    })
+    expect(validateQueryOptions("SELECT 1", queryOptions)).to.equal(null)
+  })
+
+  it("should keep a given option even when it's falsy", () => {
+    const queryOptions = readQueryOptions(
+      { columnarResults: false, limit: 0, nullValue: null },
+      {}
+    )
+    expect(queryOptions.columnarResults).to.equal(false)
+    expect(queryOptions.limit).to.equal(0)
+    expect(queryOptions.nullPolicies).to.have.property("nullValue", null)
+  })
+
+  it("should read columns columnar, with exact BIGINTs", () => {
+    const queryOptions = readQueryOptions(
+      { resultFormat: "columns", columnarResults: false },
+      {}
+    )
+    expect(queryOptions.columnarResults).to.equal(true)
+    expect(queryOptions.exactIntegers).to.equal(true)
+  })
+
+  it("should add the query's type parsers to the connection's", () => {
+    const parse = value => value
+    const own = value => value
+    const { typeParsers } = readQueryOptions(
+      { typeParsers: { BOOL: own } },
+      { INT: parse }
+    )
+    expect(typeParsers).to.deep.equal({ INT: parse, BOOL: own })
+  })
+})
+
+describe("validateQueryOptions", () => {
+  const check = (query, options) =>
+    validateQueryOptions(query, readQueryOptions(options, {}))
+
+  it("should report the first problem", () => {
+    expect(check("SELECT 1", { resultFormat: "json" })).to.equal(
+      "Unknown result format: json"
+    )
+    expect(
+      check("SELECT 1", { resultFormat: "columns", lazyRows: true })
+    ).to.equal("Only the rows result format has lazy rows.")
+    expect(check("SELECT 1", { dropNullsIn: "n" })).to.equal(
+      "Please enter an array of column names for dropNullsIn."
+    )
+  })
+
+  it("should check the params against the query", () => {
+    expect(check("SELECT :n", { params: { n: 1 } })).to.equal(null)
+    expect(check("SELECT :n", { params: {} })).to.be.a("string")
+  })
+})
@@ -0,0 +1,385 @@
+import { expect } from "chai"
+import processColumnarResults from "../src/process-columnar-results"
+import processRowResults from "../src/process-row-results"
+import processTypedColumns from "../src/process-typed-columns"
+
+// Every TDatumType, with two values as the server sends them and as the
+// processors should decode them
+const CASES = [
+  { type: "BOOL", list: "int", values: [1, 0], expected: [true, false] },
+  { type: "TINYINT", list: "int", values: [-128, 127], expected: [-128, 127] },
+  { type: "SMALLINT", list: "int", values: [-300, 300], expected: [-300, 300] },
+  { type: "INT", list: "int", values: [-70000, 7], expected: [-70000, 7] },
+  {
+    type: "BIGINT",
+    list: "int",
+    values: [-1099511627776, 42],
+    expected: [-1099511627776, 42]
+  },
+  { type: "FLOAT", list: "real", values: [1.5, -2.25], expected: [1.5, -2.25] },
+  {
+    type: "DOUBLE",
+    list: "real",
+    values: [0.1, 1e300],
+    expected: [0.1, 1e300]
+  },
+  {
+    type: "DECIMAL",
+    list: "real",
+    scale: 2,
+    values: [12.34, 0],
+    expected: [12.34, 0]
+  },
+  { type: "STR", list: "str", values: ["a", "é"], expected: ["a", "é"] },
+  {
+    type: "TIME",
+    list: "int",
+    values: [3723, 0],
+    expected: ["01:02:03", "00:00:00"]
+  },
+  {
+    type: "TIMESTAMP",
+    list: "int",
+    precision: 3,
+    values: [1514862245123, 0],
+    expected: [new Date(1514862245123), new Date(0)]
+  },
+  {
+    type: "DATE",
+    list: "int",
+    values: [86400, 0],
+    expected: [new Date(86400000), new Date(0)]
+  },
+  {
+    type: "INTERVAL_DAY_TIME",
+    list: "int",
+    values: [90061001, -1500],
+    expected: [
+      { days: 1, hours: 1, minutes: 1, seconds: 1, milliseconds: 1 },
+      { days: 0, hours: 0, minutes: 0, seconds: -1, milliseconds: -500 }
+    ]
+  },
+  {
+    type: "INTERVAL_YEAR_MONTH",
+    list: "int",
+    values: [14, -1],
+    expected: [{ years: 1, months: 2 }, { years: 0, months: -1 }]
+  },
+  ...[
+    "POINT",
+    "LINESTRING",
+    "POLYGON",
+    "MULTIPOLYGON",
+    "GEOMETRY",
+    "GEOGRAPHY"
+  ].map(type => ({
+    type,
+    list: "str",
+    values: ["POINT (1 2)", "POINT (3 4)"],
+    expected: ["POINT (1 2)", "POINT (3 4)"]
+  }))
+]
+
+const datumEnum = {}
+Object.keys(TDatumType).forEach(name => {
+  datumEnum[TDatumType[name]] = name
+})
+
+function columnType(testCase, isArray) {
+  return {
+    col_name: isArray ? `${testCase.type}_array` : testCase.type,
+    col_type: {
+      type: TDatumType[testCase.type],
+      encoding: 0,
+      nullable: true,
+      is_array: isArray,
+      precision: testCase.precision || 0,
+      scale: testCase.scale || 0
+    }
+  }
+}
+
+function columnData(list, values) {
+  const data = { int_col: [], real_col: [], str_col: [], arr_col: [] }
+  data[`${list}_col`] = values
+  return data
+}
+
+// Each type as a scalar column, and as an array column holding both values
+// in the first row and none in the second
+function createColumnarRowSet() {
+  const rowDesc = []
+  const columns = []
+  CASES.forEach(testCase => {
+    rowDesc.push(columnType(testCase, false))
+    columns.push({
+      data: columnData(testCase.list, testCase.values),
+      nulls: [false, false]
+    })
+    rowDesc.push(columnType(testCase, true))
+    columns.push({
+      data: Object.assign(columnData(testCase.list, []), {
+        arr_col: [
+          {
+            data: columnData(testCase.list, testCase.values),
+            nulls: [false, false]
+          },
+          { data: columnData(testCase.list, []), nulls: [] }
+        ]
+      }),
+      nulls: [false, false]
+    })
+  })
+  return { row_desc: rowDesc, rows: [], columns, is_columnar: true }
+}
+
+function datum(list, value, isNull) {
+  const val = { int_val: null, real_val: null, str_val: null, arr_val: null }
+  val[`${list}_val`] = value
+  return { val, is_null: Boolean(isNull) }
+}
+
+// The same values and nulls as the server sends them in rows
+function toRowSet(columnar) {
+  const rows = [0, 1].map(r => ({
+    cols: columnar.columns.map((column, c) => {
+      const list = CASES[Math.floor(c / 2)].list
+      if (!columnar.row_desc[c].col_type.is_array) {
+        return datum(list, column.data[`${list}_col`][r], column.nulls[r])
+      }
+      const array = column.data.arr_col[r]
+      return Object.assign(datum(list, null, column.nulls[r]), {
+        val: {
+          arr_val: array.data[`${list}_col`].map((value, e) =>
+            datum(list, value, array.nulls[e])
+          )
+        }
+      })
+    })
+  }))
+  return { row_desc: columnar.row_desc, rows, columns: [], is_columnar: false }
+}
+
+function expectedRows() {
+  return [0, 1].map(r => {
+    const row = {}
+    CASES.forEach(testCase => {
+      row[testCase.type] = testCase.expected[r]
+      row[`${testCase.type}_array`] = r === 0 ? testCase.expected : []
+    })
+    return row
+  })
+}
+
+describe("result processors", () => {
+  const columnar = createColumnarRowSet()
+
+  it("should decode every type from columnar results", () => {
+    expect(
+      processColumnarResults(columnar, false, datumEnum).results
+    ).to.deep.equal(expectedRows())
+  })
+
+  it("should decode every type from row results", () => {
+    expect(
+      processRowResults(toRowSet(columnar), false, datumEnum).results
+    ).to.deep.equal(expectedRows())
+  })
+
+  it("should decode every type into typed columns", () => {
+    const { columns } = processTypedColumns(columnar, false, datumEnum, {
+      bigint: "number",
+      temporal: "date"
+    })
+    CASES.forEach(testCase => {
+      const expected = testCase.expected.map(
+        value => (testCase.type === "BOOL" ? Number(value) : value)
+      )
+      expect(Array.from(columns[testCase.type])).to.deep.equal(expected)
+      expect(columns[`${testCase.type}_array`]).to.deep.equal([
+        testCase.expected,
+        []
+      ])
+    })
+  })
+
+  it("should parse values with the type parsers in every processor", () => {
+    const typeParsers = {
+      DECIMAL: (value, typeInfo) => `${value}/${typeInfo.scale}`
+    }
+    const expected = [["12.34/2", "0/2"], ["12.34/2", "0/2"]]
+    const decimals = result => [
+      result.map(row => row.DECIMAL),
+      result[0].DECIMAL_array
+    ]
+    expect(
+      decimals(
+        processColumnarResults(columnar, false, datumEnum, { typeParsers })
+          .results
+      )
+    ).to.deep.equal(expected)
+    expect(
+      decimals(
+        processRowResults(toRowSet(columnar), false, datumEnum, {
+          typeParsers
+        }).results
+      )
+    ).to.deep.equal(expected)
+    const { columns } = processTypedColumns(columnar, false, datumEnum, {
+      typeParsers
+    })
+    expect([columns.DECIMAL, columns.DECIMAL_array[0]]).to.deep.equal(expected)
+  })
+
+  it("should decode lazy rows when they're read", () => {
+    let parsed = 0
+    const valueFormats = {
+      typeParsers: {
+        STR: value => {
+          parsed = parsed + 1
+          return value
+        }
+      }
+    }
+    const expected = expectedRows()
+    ;[
+      processColumnarResults(
+        columnar,
+        false,
+        datumEnum,
+        valueFormats,
+        {},
+        true
+      ),
+      processRowResults(
+        toRowSet(columnar),
+        false,
+        datumEnum,
+        valueFormats,
+        {},
+        true
+      )
+    ].forEach(({ results }) => {
+      parsed = 0
+      expect(results.length).to.equal(2)
+      expect(parsed).to.equal(0)
+      expect(results.get(1)).to.deep.equal(expected[1])
+      expect(parsed).to.equal(1)
+      expect(results.toArray()).to.deep.equal(expected)
+    })
+  })
+
+  describe("null options", () => {
+    // INT is null in the first row and DOUBLE in the second, and the first
+    // INT_array element is null
+    function withNulls() {
+      const rowSet = createColumnarRowSet()
+      const names = rowSet.row_desc.map(field => field.col_name)
+      rowSet.columns[names.indexOf("INT")].nulls = [true, false]
+      rowSet.columns[names.indexOf("DOUBLE")].nulls = [false, true]
+      rowSet.columns[names.indexOf("INT_array")].data.arr_col[0].nulls = [
+        true,
+        false
+      ]
+      return rowSet
+    }
+
+    function processEach(nullPolicies) {
+      const rowSet = withNulls()
+      return [
+        processColumnarResults(rowSet, false, datumEnum, {}, nullPolicies)
+          .results,
+        processRowResults(toRowSet(rowSet), false, datumEnum, {}, nullPolicies)
+          .results
+      ]
+    }
+
+    it("should use the nullValue for scalars and array elements", () => {
+      processEach({ nullValue: undefined }).forEach(results => {
+        expect(results[0].INT).to.equal(undefined)
+        expect(results[0].INT_array).to.deep.equal([undefined, 7])
+        expect(results[1].DOUBLE).to.equal(undefined)
+      })
+    })
+
+    it("should keep each processor's nulls without a nullValue", () => {
+      const [columnarResults, rowResults] = processEach({})
+      expect(columnarResults[0].INT).to.equal(null)
+      expect(columnarResults[0].INT_array).to.deep.equal(["NULL", 7])
+      expect(rowResults[0].INT).to.equal("NULL")
+    })
+
+    it("should only drop the rows with nulls in dropNullsIn", () => {
+      processEach({ dropNullsIn: ["DOUBLE"] }).forEach(results => {
+        expect(results.map(row => row.DOUBLE)).to.deep.equal([0.1])
+      })
+    })
+
+    it("should fill the nulls of the fillNulls columns", () => {
+      processEach({ nullValue: null, fillNulls: { INT: 0 } }).forEach(
+        results => {
+          expect(results[0].INT).to.equal(0)
+          expect(results[1].DOUBLE).to.equal(null)
+        }
+      )
+    })
+
+    it("should fill typed columns and use the nullValue in plain arrays", () => {
+      const { columns, nulls } = processTypedColumns(
+        withNulls(),
+        false,
+        datumEnum,
+        {},
+        { nullValue: "n/a", fillNulls: { DOUBLE: NaN } }
+      )
+      expect(columns.INT[0]).to.equal(0)
+      expect(nulls.INT[0]).to.equal(1)
+      expect(columns.DOUBLE[1]).to.be.NaN
+      expect(columns.INT_array[0]).to.deep.equal(["n/a", 7])
+    })
+
+    it("should drop the typed rows with nulls in dropNullsIn", () => {
+      const { columns } = processTypedColumns(
+        withNulls(),
+        false,
+        datumEnum,
+        {},
+        { dropNullsIn: ["INT"] }
+      )
+      expect(Array.from(columns.INT)).to.deep.equal([7])
+    })
+
+    it("should reject an unknown column", () => {
+      expect(() =>
+        processColumnarResults(
+          withNulls(),
+          false,
+          datumEnum,
+          {},
+          {
+            dropNullsIn: ["nope"]
+          }
+        )
+      ).to.throw("Unknown column in dropNullsIn: nope")
+      expect(() =>
+        processRowResults(
+          toRowSet(withNulls()),
+          false,
+          datumEnum,
+          {},
+          {
+            fillNulls: { nope: 0 }
+          }
+        )
+      ).to.throw("Unknown column in fillNulls: nope")
+    })
+  })
+
+  it("should eliminate the rows with a null from row results", () => {
+    const rowSet = toRowSet(columnar)
+    rowSet.rows[0].cols[0].is_null = true
+    expect(processRowResults(rowSet, true, datumEnum).results).to.deep.equal(
+      expectedRows().slice(1)
+    )
+  })
+})
@@ -0,0 +1,127 @@
+/* global BigInt: false */
+import { expect } from "chai"
+import {
+  bindParams,
+  formatSql,
+  identifier,
+  validateParams
+} from "../src/sql-params"
+
+describe("bindParams", () => {
+  it("should bind positional values as escaped literals", () => {
+    expect(
+      bindParams("SELECT * FROM t WHERE name = ? AND n > ? AND ok = ?", [
+        "O'Brien'; DROP TABLE t; --",
+        -1.5,
+        true
+      ])
+    ).to.equal(
+      "SELECT * FROM t WHERE name = 'O''Brien''; DROP TABLE t; --' AND n > (-1.5) AND ok = TRUE"
+    )
+  })
+
+  it("should bind named values, which may repeat", () => {
+    expect(
+      bindParams("SELECT :col, x::TEXT FROM t WHERE a = :v OR b = :v", {
+        col: identifier('odd "name"'),
+        v: null
+      })
+    ).to.equal(
+      'SELECT "odd ""name""", x::TEXT FROM t WHERE a = NULL OR b = NULL'
+    )
+  })
+
+  it("should ignore placeholders in literals, quoted identifiers and comments", () => {
+    expect(
+      bindParams(
+        "SELECT '?', \"a:b\" FROM t -- ?\n/* :c */ WHERE d IN ? AND e > ?",
+        [[1, "x"], new Date(Date.UTC(2018, 0, 2, 3, 4, 5, 6))]
+      )
+    ).to.equal(
+      "SELECT '?', \"a:b\" FROM t -- ?\n/* :c */ WHERE d IN (1, 'x') AND e > TIMESTAMP '2018-01-02 03:04:05.006'"
+    )
+  })
+
+  it("should keep a negative value after a minus from starting a comment", () => {
+    const query = "SELECT * FROM t WHERE price-:d > 10 AND tenant = :t"
+    expect(bindParams(query, { d: -5, t: 7 })).to.equal(
+      "SELECT * FROM t WHERE price-(-5) > 10 AND tenant = 7"
+    )
+    expect(bindParams(query, { d: BigInt(-5), t: 7 })).to.equal(
+      "SELECT * FROM t WHERE price-(-5) > 10 AND tenant = 7"
+    )
+  })
+
+  it("should reject missing and unbindable values", () => {
+    expect(() => bindParams("SELECT ?, ?", [1])).to.throw(
+      "The SQL has 2 placeholders, but 1 values were given."
+    )
+    expect(() => bindParams("SELECT :a", { b: 1 })).to.throw(
+      "Missing a value for :a."
+    )
+    expect(() => bindParams("SELECT ?", [{}])).to.throw(
+      "Can't bind a value of type object."
+    )
+    expect(() => bindParams("SELECT ?", [NaN])).to.throw(
+      "Can't bind the number NaN."
+    )
+    expect(() => bindParams("SELECT * FROM t WHERE a IN ?", [[]])).to.throw(
+      "Can't bind an empty array."
+    )
+  })
+})
+
+describe("validateParams", () => {
+  it("should return the problem with the params instead of throwing", () => {
+    expect(
+      validateParams("SELECT :a, :b", { a: 1, b: new Date(NaN) })
+    ).to.equal("Can't bind an invalid Date.")
+    expect(validateParams("SELECT ?", { a: 1 })).to.equal(
+      "Found a ? placeholder, but the params are an object; pass an array."
+    )
+    expect(validateParams("SELECT ? IN ?", [1, [2, 3]])).to.equal(null)
+  })
+})
+
+describe("formatSql", () => {
+  it("should bind the values of a tagged template", () => {
+    const sql = (strings, ...values) => formatSql(strings, values)
+    const country = "CO' OR '1'='1"
+    expect(
+      sql`SELECT count(*) FROM ${identifier(
+        "tweets"
+      )} WHERE country = ${country}`
+    ).to.equal(
+      "SELECT count(*) FROM \"tweets\" WHERE country = 'CO'' OR ''1''=''1'"
+    )
+  })
+
+  it("should leave placeholders in the template alone", () => {
+    const sql = (strings, ...values) => formatSql(strings, values)
+    expect(
+      sql`SELECT ${1} AS "a?" FROM t WHERE x = ? AND y = :name AND z = ${"?"}`
+    ).to.equal(
+      "SELECT 1 AS \"a?\" FROM t WHERE x = ? AND y = :name AND z = '?'"
+    )
+    expect(() => sql`SELECT ${{}}`).to.throw(
+      "Can't bind a value of type object."
+    )
+  })
+
+  it("should parenthesize negative values", () => {
+    const sql = (strings, ...values) => formatSql(strings, values)
+    expect(sql`SELECT price-${-5} FROM t -- total`).to.equal(
+      "SELECT price-(-5) FROM t -- total"
+    )
+  })
+
+  it("should refuse values interpolated inside quotes", () => {
+    const sql = (strings, ...values) => formatSql(strings, values)
+    expect(() => sql`SELECT * FROM t WHERE country = '${"CO"}'`).to.throw(
+      "Can't interpolate a value inside quotes or a comment."
+    )
+    expect(() => sql`SELECT 1 -- ${"\nDROP TABLE t"}`).to.throw(
+      "Can't interpolate a value inside quotes or a comment."
+    )
+  })
+})
@@ -0,0 +1,93 @@
+import { expect } from "chai"
+import { Int64 } from "thrift"
+import {
+  formatBigInt,
+  formatDecimal,
+  formatTemporal,
+  toNumber,
+  validateValueFormats
+} from "../src/value-formats"
+
+describe("formatBigInt", () => {
+  it("should format the protocols' integers exactly", () => {
+    const big = "9007199254740993"
+    expect(formatBigInt(big, "string")).to.equal(big)
+    expect(formatBigInt(big, "bigint") === BigInt(big)).to.equal(true) // eslint-disable-line no-undef
+    expect(formatBigInt(42)).to.equal(42)
+    expect(formatBigInt(new Int64("8000000000000000"), "string")).to.equal(
+      "-9223372036854775808"
+    )
+    expect(formatBigInt(new Int64(-7), "number")).to.equal(-7)
+  })
+})
+
+describe("formatDecimal", () => {
+  it("should format a decimal with its column's scale", () => {
+    expect(formatDecimal(1234.5, 2, "string")).to.equal("1234.50")
+    expect(formatDecimal(0.1 + 0.2, 2, "string")).to.equal("0.30")
+    expect(formatDecimal(1234.5, 2)).to.equal(1234.5)
+  })
+})
+
+describe("formatTemporal", () => {
+  const nanos = { type: "TIMESTAMP", precision: 9 }
+  const value = "1514862245123456789"
+
+  it("should decode a timestamp with its precision", () => {
+    expect(formatTemporal(value, nanos, "iso")).to.equal(
+      "2018-01-02T03:04:05.123456789Z"
+    )
+    expect(formatTemporal(value, nanos, "epochMs")).to.equal(1514862245123.4568)
+    expect(formatTemporal(value, nanos).getTime()).to.equal(1514862245123)
+    expect(
+      formatTemporal(-1, { type: "TIMESTAMP", precision: 6 }, "iso")
+    ).to.equal("1969-12-31T23:59:59.999999Z")
+    expect(
+      formatTemporal(1514862245, { type: "TIMESTAMP", precision: 0 }, "iso")
+    ).to.equal("2018-01-02T03:04:05Z")
+  })
+
+  it("should pass a custom format the nanoseconds since the epoch", () => {
+    const formatted = formatTemporal(value, nanos, (ns, field) => [ns, field])
+    expect(formatted[0] === BigInt(value)).to.equal(true) // eslint-disable-line no-undef
+    expect(formatted[1]).to.equal(nanos)
+  })
+
+  it("should decode dates, and times as times of day", () => {
+    const date = { type: "DATE", precision: 0 }
+    const time = { type: "TIME", precision: 0 }
+    expect(formatTemporal(86400, date, "iso")).to.equal("1970-01-02")
+    expect(formatTemporal(86400, date).getTime()).to.equal(86400000)
+    expect(formatTemporal(3723, time)).to.equal("01:02:03")
+    expect(formatTemporal(3723, time, "epochMs")).to.equal(3723000)
+  })
+})
+
+describe("toNumber", () => {
+  it("should read node-int64 integers", () => {
+    expect(toNumber(new Int64(0))).to.equal(0)
+    expect(toNumber(5)).to.equal(5)
+  })
+})
+
+describe("validateValueFormats", () => {
+  it("should reject unknown formats", () => {
+    expect(
+      validateValueFormats({ bigint: "bigint", decimal: "string" })
+    ).to.equal(null)
+    expect(validateValueFormats({})).to.equal(null)
+    expect(validateValueFormats({ bigint: "long" })).to.equal(
+      "Unknown bigint format: long"
+    )
+    expect(validateValueFormats({ decimal: "exact" })).to.equal(
+      "Unknown decimal format: exact"
+    )
+    expect(validateValueFormats({ temporal: "local" })).to.equal(
+      "Unknown temporal format: local"
+    )
+    expect(validateValueFormats({ temporal: () => null })).to.equal(null)
+    expect(validateValueFormats({ geo: "kml" })).to.equal(
+      "Unknown geo format: kml"
+    )
+  })
+})
@@ -2,7 +2,10 @@ import { expect } from "chai"
 import {
   CREATE_LINK_ERROR_STRING,
   isResultError,
-  isCreateLinkError
+  isCreateLinkError,
+  isSessionExpiredError,
+  wrapWithErrorHandling,
+  wrapWithSessionRecovery
 } from "../src/wrap-with-error-handling"
 
 describe("wrapWithErrorHandling", () => {
@@ -20,4 +23,90 @@ describe("wrapWithErrorHandling", () => {
       expect(isResultError("ERROR")).to.equal(false)
     })
   })
+
+  describe("isSessionExpiredError Helper Function", () => {
+    it("should return true for an invalid session TMapDException", () => {
+      expect(
+        isSessionExpiredError(
+          new TMapDException({ error_msg: "Session not valid." })
+        )
+      ).to.equal(true)
+    })
+    it("should return true for an Error about an expired session", () => {
+      expect(isSessionExpiredError(new Error("Session has expired"))).to.equal(
+        true
+      )
+    })
+    it("should return false for other errors", () => {
+      expect(
+        isSessionExpiredError(new TMapDException({ error_msg: "Syntax error" }))
+      ).to.equal(false)
+      expect(isSessionExpiredError(null)).to.equal(false)
+    })
+  })
+
+  describe("session recovery", () => {
+    const expired = new TMapDException({ error_msg: "Session not valid." })
+
+    beforeEach(() => {
+      MapDClient.prototype.fake_method = function(session, callback) {
+        this.sessions.push(session)
+        callback(session === "stale" ? expired : "result for " + session)
+      }
+    })
+
+    afterEach(() => {
+      delete MapDClient.prototype.fake_method
+    })
+
+    it("should replay a call once with the re-established session", done => {
+      const client = {
+        sessions: [],
+        reestablishSession: (staleSession, callback) => {
+          expect(staleSession).to.equal("stale")
+          callback(null, "fresh")
+        }
+      }
+      wrapWithErrorHandling(client, "fake_method")("stale", (error, result) => {
+        expect(error).to.equal(null)
+        expect(result).to.equal("result for fresh")
+        expect(client.sessions).to.deep.equal(["stale", "fresh"])
+        done()
+      })
+    })
+
+    it("should pass the original error on when the session can't be re-established", done => {
+      const client = {
+        sessions: [],
+        reestablishSession: (staleSession, callback) =>
+          callback(new Error("Automatic reconnection is disabled."))
+      }
+      wrapWithErrorHandling(client, "fake_method")("stale", error => {
+        expect(error.message).to.equal("Session not valid.")
+        expect(client.sessions).to.deep.equal(["stale"])
+        done()
+      })
+    })
+
+    it("should replay node-style callbacks with the re-established session", done => {
+      const client = {
+        sessions: [],
+        reestablishSession: (staleSession, callback) => callback(null, "fresh"),
+        fake_method(session, callback) {
+          this.sessions.push(session)
+          if (session === "stale") {
+            callback(expired)
+          } else {
+            callback(null, "result for " + session)
+          }
+        }
+      }
+      client.fake_method = wrapWithSessionRecovery(client, "fake_method")
+      client.fake_method("stale", (error, result) => {
+        expect(error).to.equal(null)
+        expect(result).to.equal("result for fresh")
+        done()
+      })
+    })
+  })
 })
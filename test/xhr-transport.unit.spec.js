@@ -0,0 +1,174 @@
+import { expect } from "chai"
+import createXhrTransport, { createResponseError } from "../src/xhr-transport"
+
+function FakeTransport(url) {
+  this.url = url
+  this.send_buf = ""
+  this.recv_buf = ""
+  this.requests = []
+  this.syncResponse = { status: 200, responseText: "" }
+}
+
+FakeTransport.prototype.getXmlHttpRequestObject = function() {
+  const syncResponse = this.syncResponse
+  const xhr = {
+    readyState: 0,
+    status: 0,
+    headers: {},
+    open(method, url, async) {
+      Object.assign(xhr, { method, url, async })
+    },
+    overrideMimeType(mimeType) {
+      xhr.mimeType = mimeType
+    },
+    setRequestHeader(name, value) {
+      xhr.headers[name] = value
+    },
+    send(body) {
+      xhr.body = body
+      if (!xhr.async) {
+        Object.assign(xhr, { readyState: 4 }, syncResponse)
+      }
+    },
+    respond(status, responseText) {
+      Object.assign(xhr, { readyState: 4, status, responseText })
+      xhr.onreadystatechange()
+    }
+  }
+  this.requests.push(xhr)
+  return xhr
+}
+
+FakeTransport.prototype.setRecvBuffer = function(buf) {
+  this.recv_buf = buf
+}
+
+FakeTransport.prototype.readAll = function() {
+  return this.recv_buf
+}
+
+describe("createXhrTransport", () => {
+  it("should post the request and read the response", done => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092")
+    transport.send_buf = "request"
+    transport.flush(true, () => {
+      expect(transport.readAll()).to.equal("response")
+      done()
+    })
+    const [xhr] = transport.requests
+    expect(xhr).to.include({
+      method: "POST",
+      url: "http://host1:9092",
+      async: true,
+      body: "request"
+    })
+    xhr.respond(200, "response")
+  })
+
+  it("should throw a NetworkError from the read when the request fails", done => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092")
+    transport.flush(true, () => {
+      expect(() => transport.readAll()).to.throw("Unable to reach the server")
+      expect(transport.readAll()).to.equal("")
+      done()
+    })
+    transport.requests[0].respond(0, "")
+  })
+
+  it("should report the status of a non-200 response", done => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092")
+    transport.flush(true, () => {
+      try {
+        transport.readAll()
+      } catch (error) {
+        expect(error.name).to.equal("NetworkError")
+        expect(error.message).to.equal(
+          "The server responded with HTTP status 502."
+        )
+        done()
+      }
+    })
+    transport.requests[0].respond(502, "Bad Gateway")
+  })
+
+  it("should report a 4xx response as a plain error", done => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092")
+    transport.flush(true, () => {
+      expect(() => transport.readAll()).to.throw(
+        "The server responded with HTTP status 413."
+      )
+      expect(createResponseError({ status: 413 }).name).to.equal("Error")
+      done()
+    })
+    transport.requests[0].respond(413, "Payload Too Large")
+  })
+
+  it("should read the response of a synchronous request", () => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092")
+    transport.syncResponse.responseText = "response"
+    transport.flush()
+    expect(transport.requests[0].async).to.equal(false)
+    expect(transport.readAll()).to.equal("response")
+  })
+
+  it("should throw a NetworkError when a synchronous request fails", () => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092")
+    transport.syncResponse.status = 503
+    expect(() => transport.flush()).to.throw(
+      "The server responded with HTTP status 503."
+    )
+  })
+
+  it("should add the headers for each request without replacing the Thrift ones", () => {
+    let numRequests = 0
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092", {
+      getHeaders: () => {
+        numRequests = numRequests + 1
+        return {
+          Authorization: `Bearer token${numRequests}`,
+          "Content-Type": "text/plain"
+        }
+      }
+    })
+    transport.flush()
+    transport.flush()
+    expect(transport.requests.map(xhr => xhr.headers)).to.deep.equal(
+      [1, 2].map(n => ({
+        Authorization: `Bearer token${n}`,
+        Accept: "application/vnd.apache.thrift.json; charset=utf-8",
+        "Content-Type": "application/vnd.apache.thrift.json; charset=utf-8"
+      }))
+    )
+  })
+
+  it("should send and receive bytes for the binary encodings", done => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092", {
+      encoding: "compact"
+    })
+    transport.send_buf = new Uint8Array([0x82, 0x21])
+    transport.flush(true, () => {
+      expect(Array.from(transport.readAll())).to.deep.equal([0x82, 0x41])
+      done()
+    })
+    const [xhr] = transport.requests
+    expect(xhr.responseType).to.equal("arraybuffer")
+    expect(xhr.headers["Content-Type"]).to.equal(
+      "application/vnd.apache.thrift.compact"
+    )
+    expect(Array.from(xhr.body)).to.deep.equal([0x82, 0x21])
+    xhr.response = new Uint8Array([0x82, 0x41]).buffer
+    xhr.respond(200, "")
+  })
+
+  it("should read the bytes of a synchronous binary response", () => {
+    const transport = createXhrTransport(FakeTransport, "http://host1:9092", {
+      encoding: "binary"
+    })
+    transport.syncResponse.responseText = "\uf780\u0001"
+    transport.flush()
+    expect(transport.requests[0].mimeType).to.equal(
+      "text/plain; charset=x-user-defined"
+    )
+    expect(Array.from(transport.readAll())).to.deep.equal([0x80, 0x01])
+  })
+})